@@ -0,0 +1,13 @@
+// Fit personalized scheduler parameters for every user with enough history
+require('dotenv').config();
+const schedulerOptimizer = require('../src/services/schedulerOptimizer');
+
+schedulerOptimizer.optimizeEligibleUsers()
+    .then(results => {
+        console.log(`✅ Scheduler optimization done: ${results.optimized} optimized, ${results.skipped} skipped, ${results.failed} failed`);
+        process.exit(0);
+    })
+    .catch(error => {
+        console.error('❌ Scheduler optimization failed:', error);
+        process.exit(1);
+    });
@@ -1,8 +1,38 @@
     const supabase = require('../config/database');
 const spacedRepetition = require('../services/spacedRepetition');
 const cacheService = require('../services/CacheService');
+const schedulerOptimizer = require('../services/schedulerOptimizer');
+const aiService = require('../services/aiService');
+const reviewForecast = require('../services/reviewForecast');
+const reviewQueue = require('../services/reviewQueue');
+const vacationService = require('../services/vacationService');
+const reviewService = require('../services/reviewService');
+const exerciseBuilder = require('../services/exerciseBuilder');
+const distractorEngine = require('../services/distractorEngine');
+const reviewSessions = require('../services/reviewSessions');
+const answerChecker = require('../services/answerChecker');
+const sentenceBuilder = require('../services/sentenceBuilder');
+const usageExercises = require('../services/usageExercises');
+const speedRound = require('../services/speedRound');
+const responseGrader = require('../services/responseGrader');
+const reviewSync = require('../services/reviewSync');
+const reviewBatch = require('../services/reviewBatch');
+const LearningProgress = require('../models/LearningProgress');
+const VocabularyList = require('../models/VocabularyList');
+const { addDays } = require('../utils/dateHelper');
+
+const { SESSION_STATUSES } = reviewSessions;
+const { BATCH_OUTCOMES } = reviewBatch;
+const { CARD_DIRECTIONS } = spacedRepetition;
 
 class ReviewController {
+    constructor() {
+        // Express calls route handlers without their instance
+        Object.getOwnPropertyNames(ReviewController.prototype)
+            .filter(name => name !== 'constructor')
+            .forEach(name => { this[name] = this[name].bind(this); });
+    }
+    
     // USC4: Review vocabulary with Spaced Repetition
     async getReviewQueue(req, res) {
         try {
@@ -16,63 +46,8 @@ class ReviewController {
                 return res.json({ success: true, data: cached });
             }
             
-            // Get words due for review
-            const { data: dueWords, error } = await supabase
-                .from('user_vocabulary')
-                .select(`
-                    id,
-                    vocabulary_id,
-                    repetitions,
-                    easiness_factor,
-                    interval,
-                    next_review_date,
-                    vocabulary:vocabulary_items(
-                        id,
-                        word,
-                        meaning,
-                        pronunciation,
-                        example_sentence,
-                        image_url,
-                        list:vocabulary_lists(name)
-                    )
-                `)
-                .eq('user_id', userId)
-                .lte('next_review_date', new Date().toISOString())
-                .order('next_review_date', { ascending: true })
-                .limit(limit);
-                
-            if (error) throw error;
-            
-            // Get new words if review queue is small
-            let newWords = [];
-            if (dueWords.length < 5) {
-                const { data: unlearnedWords, error: newError } = await supabase
-                    .from('vocabulary_items')
-                    .select(`
-                        id,
-                        word,
-                        meaning,
-                        pronunciation,
-                        example_sentence,
-                        image_url,
-                        list:vocabulary_lists(name)
-                    `)
-                    .not('id', 'in', 
-                        `(SELECT vocabulary_id FROM user_vocabulary WHERE user_id = '${userId}')`
-                    )
-                    .limit(5);
-                    
-                if (!newError && unlearnedWords) {
-                    newWords = unlearnedWords;
-                }
-            }
-            
-            const reviewData = {
-                dueReviews: dueWords,
-                newWords: newWords,
-                totalDue: dueWords.length,
-                totalNew: newWords.length
-            };
+            // Due cards and new words, within the user's daily caps
+            const reviewData = await reviewQueue.getQueue(userId, parseInt(limit));
             
             // Cache for 5 minutes
             await cacheService.set(cacheKey, reviewData, 300);
@@ -98,79 +73,92 @@ class ReviewController {
             const { 
                 vocabularyId, 
                 performance, // 0: Again, 1: Hard, 2: Good, 3: Easy
+                correct, // Lets the rating be derived from the response time
                 responseTime,
-                isNew = false 
+                isNew = false,
+                direction,
+                exerciseType
             } = req.body;
             
-            // Begin transaction
-            const { data: currentProgress, error: fetchError } = await supabase
-                .from('user_vocabulary')
-                .select('*')
-                .eq('user_id', userId)
-                .eq('vocabulary_id', vocabularyId)
-                .single();
-                
-            let progressData;
+            // Reschedule the card and log it to review_history
+            const { lapsed, ...result } = await reviewService.recordReview(userId, {
+                vocabularyId,
+                performance,
+                correct,
+                responseTime,
+                isNew,
+                direction,
+                exerciseType
+            });
             
-            if (!currentProgress || isNew) {
-                // Initialize new word
-                progressData = await spacedRepetition.initializeProgress(userId, vocabularyId);
-            } else {
-                progressData = currentProgress;
-            }
+            res.json({
+                success: true,
+                data: {
+                    ...result,
+                    message: this.getEncouragementMessage(result.quality)
+                }
+            });
             
-            // Calculate next review using SM-2
-            const nextReview = spacedRepetition.calculateNextReview(progressData, performance);
+        } catch (error) {
+            console.error('Submit review error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Không thể lưu kết quả ôn tập'
+            });
+        }
+    }
+    
+    // Undo the most recent review (e.g. a mis-tapped rating)
+    async undoLastReview(req, res) {
+        try {
+            const userId = req.user.id;
             
-            // Update user_vocabulary
-            const { error: updateError } = await supabase
-                .from('user_vocabulary')
-                .upsert({
-                    user_id: userId,
-                    vocabulary_id: vocabularyId,
-                    ...nextReview,
-                    last_review_date: new Date(),
-                    total_reviews: (progressData.total_reviews || 0) + 1,
-                    correct_reviews: (progressData.correct_reviews || 0) + (performance > 0 ? 1 : 0)
-                });
-                
-            if (updateError) throw updateError;
+            const result = await reviewService.undoLastReview(userId);
+            if (!result) {
+                return res.status(404).json({ success: false, error: 'Không có lượt ôn tập nào để hoàn tác' });
+            }
             
-            // Log review history
-            const { error: historyError } = await supabase
-                .from('review_history')
-                .insert({
-                    user_id: userId,
-                    vocabulary_id: vocabularyId,
-                    quality: performance,
-                    response_time: responseTime,
-                    is_correct: performance > 0,
-                    previous_interval: progressData.interval,
-                    new_interval: nextReview.interval,
-                    previous_easiness: progressData.easiness_factor,
-                    new_easiness: nextReview.easiness_factor
-                });
-                
-            if (historyError) throw historyError;
+            res.json({
+                success: true,
+                data: result
+            });
+            
+        } catch (error) {
+            console.error('Undo review error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Không thể hoàn tác lượt ôn tập'
+            });
+        }
+    }
+    
+    // Submit several review results at once; retries with the same
+    // Idempotency-Key return the first response instead of counting twice
+    async submitReviewBatch(req, res) {
+        try {
+            const userId = req.user.id;
+            const idempotencyKey = req.get('Idempotency-Key').trim();
+            const { reviews } = req.body;
             
-            // Update user stats
-            await this.updateUserStats(userId);
+            const { outcome, response } = await reviewBatch.submit(userId, reviews, idempotencyKey);
             
-            // Clear cache
-            await cacheService.del(`review_queue:${userId}`);
+            if (outcome === BATCH_OUTCOMES.KEY_REUSED) {
+                return res.status(422).json({ success: false, error: 'Idempotency-Key đã được dùng cho một yêu cầu khác' });
+            }
+            if (outcome === BATCH_OUTCOMES.IN_PROGRESS) {
+                return res.status(409).json({ success: false, error: 'Yêu cầu này đang được xử lý' });
+            }
+            if (outcome === BATCH_OUTCOMES.REPLAYED) {
+                res.set('Idempotent-Replayed', 'true');
+            }
             
             res.json({
                 success: true,
-                data: {
-                    nextReviewDate: nextReview.nextReviewDate,
-                    interval: nextReview.interval,
-                    repetitions: nextReview.repetitions,
-                    message: this.getEncouragementMessage(performance)
-                }
+                data: response
             });
             
         } catch (error) {
-            console.error('Submit review error:', error);
+            console.error('Submit review batch error:', error);
             res.status(500).json({
                 success: false,
                 error: 'Không thể lưu kết quả ôn tập'
@@ -200,6 +188,12 @@ class ReviewController {
                 query = query.eq('list_id', listId);
             }
             
+            // Skip words the user has suspended or buried
+            const inactiveIds = await LearningProgress.findInactiveVocabularyIds(userId);
+            if (inactiveIds.length > 0) {
+                query = query.not('id', 'in', `(${inactiveIds.join(',')})`);
+            }
+            
             const { data: words, error } = await query.limit(limit);
             
             if (error) throw error;
@@ -251,18 +245,8 @@ class ReviewController {
             
             // Generate fill-in-blank exercises
             const exercises = words.map(word => {
-                const sentence = word.example_sentence;
-                const wordRegex = new RegExp(`\\b${word.word}\\b`, 'gi');
-                const blankedSentence = sentence.replace(wordRegex, '_____');
-                
-                return {
-                    id: word.id,
-                    word: word.word,
-                    meaning: word.meaning,
-                    originalSentence: sentence,
-                    blankedSentence: blankedSentence,
-                    hint: word.word.substring(0, 1) + '...'
-                };
+                const { type, ...exercise } = exerciseBuilder.fillInBlank(word);
+                return exercise;
             });
             
             res.json({
@@ -283,257 +267,1090 @@ class ReviewController {
         }
     }
     
-    // USC7: Review with Word Association
-    async getWordAssociationSession(req, res) {
+    // Grade a typed fill-in-blank answer and schedule the word accordingly
+    async submitFillInBlankAnswer(req, res) {
+        try {
+            const userId = req.user.id;
+            const { wordId } = req.params;
+            const { answer, responseTime } = req.body;
+            
+            const { data: word, error } = await supabase
+                .from('vocabulary_items')
+                .select('id, word, example_sentence, list:vocabulary_lists(owner_id, privacy)')
+                .eq('id', wordId)
+                .single();
+                
+            if (error || !word || !this.canAccessList(word.list, userId)) {
+                return res.status(404).json({ success: false, error: 'Không tìm thấy từ vựng' });
+            }
+            
+            const grade = answerChecker.check(answer, word.word);
+            
+            const { lapsed, ...result } = await reviewService.recordReview(userId, {
+                vocabularyId: word.id,
+                performance: grade.quality,
+                responseTime,
+                direction: CARD_DIRECTIONS.REVERSE,
+                exerciseType: 'fill-in-blank'
+            });
+            
+            res.json({
+                success: true,
+                data: {
+                    ...grade,
+                    answer: word.word,
+                    originalSentence: word.example_sentence,
+                    ...result,
+                    message: this.getEncouragementMessage(grade.quality)
+                }
+            });
+        } catch (error) {
+            console.error('Submit fill-in-blank answer error:', error);
+            res.status(500).json({ success: false, error: 'Không thể chấm bài điền từ' });
+        }
+    }
+    
+    // Spelling drill: hear the word and read its meaning, then type it
+    async getSpellingSession(req, res) {
         try {
             const userId = req.user.id;
             const { listId, limit = 10 } = req.query;
             
             let query = supabase
                 .from('vocabulary_items')
-                .select('id, word, meaning, image_url');
+                .select('id, word, meaning, pronunciation, audio_url, list:vocabulary_lists!inner(owner_id)');
                 
+            // One list the user may read, or else the user's own lists
             if (listId) {
+                if (!await VocabularyList.findAccessible(listId, userId)) {
+                    return res.status(404).json({ success: false, error: 'Không tìm thấy danh sách từ vựng' });
+                }
                 query = query.eq('list_id', listId);
+            } else {
+                query = query.eq('list.owner_id', userId);
             }
             
-            const { data: words, error } = await query.limit(limit * 2); // Get more for distractors
+            // Skip words the user has suspended or buried
+            const inactiveIds = await LearningProgress.findInactiveVocabularyIds(userId);
+            if (inactiveIds.length > 0) {
+                query = query.not('id', 'in', `(${inactiveIds.join(',')})`);
+            }
+            
+            const { data: words, error } = await query.limit(limit);
             
             if (error) throw error;
             
-            if (words.length < 4) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Cần ít nhất 4 từ để tạo bài tập ghép từ'
+            const exercises = words
+                .sort(() => Math.random() - 0.5)
+                .map(word => {
+                    const { type, ...exercise } = exerciseBuilder.spelling(word);
+                    return exercise;
                 });
-            }
-            
-            // Create word pairs and distractors
-            const associations = [];
-            const usedWords = new Set();
-            
-            for (let i = 0; i < Math.min(limit, words.length / 2); i++) {
-                const word = words[i];
-                if (!usedWords.has(word.id)) {
-                    usedWords.add(word.id);
-                    
-                    // Get distractors (wrong options)
-                    const distractors = words
-                        .filter(w => w.id !== word.id && !usedWords.has(w.id))
-                        .slice(0, 3)
-                        .map(w => ({
-                            id: w.id,
-                            text: w.meaning,
-                            isCorrect: false
-                        }));
-                    
-                    associations.push({
-                        wordId: word.id,
-                        word: word.word,
-                        options: [
-                            { id: word.id, text: word.meaning, isCorrect: true },
-                            ...distractors
-                        ].sort(() => Math.random() - 0.5)
-                    });
-                }
-            }
             
             res.json({
                 success: true,
                 data: {
-                    associations: associations,
-                    total: associations.length,
-                    sessionType: 'word-association'
+                    exercises: exercises,
+                    total: exercises.length,
+                    sessionType: 'spelling'
                 }
             });
             
         } catch (error) {
-            console.error('Get word association session error:', error);
+            console.error('Get spelling session error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Không thể tạo bài tập ghép từ'
+                error: 'Không thể tạo bài tập chính tả'
             });
         }
     }
     
-    // Get learning statistics
-    async getLearningStats(req, res) {
+    // Grade a typed spelling answer letter by letter and schedule the word
+    async submitSpellingAnswer(req, res) {
         try {
             const userId = req.user.id;
-            const { period = '7d' } = req.query;
-            
-            // Get date range
-            const endDate = new Date();
-            const startDate = new Date();
-            switch(period) {
-                case '24h': startDate.setDate(startDate.getDate() - 1); break;
-                case '7d': startDate.setDate(startDate.getDate() - 7); break;
-                case '30d': startDate.setDate(startDate.getDate() - 30); break;
-                case 'all': startDate.setFullYear(2020); break;
-            }
-            
-            // Get review history
-            const { data: reviews, error: reviewError } = await supabase
-                .from('review_history')
-                .select('*')
-                .eq('user_id', userId)
-                .gte('reviewed_at', startDate.toISOString())
-                .lte('reviewed_at', endDate.toISOString());
-                
-            if (reviewError) throw reviewError;
+            const { wordId } = req.params;
+            const { answer, responseTime } = req.body;
             
-            // Get user stats
-            const { data: userStats, error: statsError } = await supabase
-                .from('user_stats')
-                .select('*')
-                .eq('user_id', userId)
+            const { data: word, error } = await supabase
+                .from('vocabulary_items')
+                .select('id, word, pronunciation, list:vocabulary_lists(owner_id, privacy)')
+                .eq('id', wordId)
                 .single();
                 
-            if (statsError) throw statsError;
+            if (error || !word || !this.canAccessList(word.list, userId)) {
+                return res.status(404).json({ success: false, error: 'Không tìm thấy từ vựng' });
+            }
             
-            // Calculate statistics
-            const stats = {
-                period: period,
-                totalReviews: reviews.length,
-                correctReviews: reviews.filter(r => r.is_correct).length,
-                accuracy: reviews.length > 0 
-                    ? Math.round((reviews.filter(r => r.is_correct).length / reviews.length) * 100)
-                    : 0,
-                averageResponseTime: reviews.length > 0
-                    ? Math.round(reviews.reduce((sum, r) => sum + (r.response_time || 0), 0) / reviews.length)
-                    : 0,
-                currentStreak: userStats?.current_streak || 0,
-                longestStreak: userStats?.longest_streak || 0,
-                totalVocabulary: userStats?.total_vocabulary || 0,
-                masteredVocabulary: userStats?.mastered_vocabulary || 0,
-                dailyBreakdown: this.calculateDailyBreakdown(reviews)
-            };
+            const grade = answerChecker.checkSpelling(answer, word.word);
+            
+            const { lapsed, ...result } = await reviewService.recordReview(userId, {
+                vocabularyId: word.id,
+                performance: grade.quality,
+                responseTime,
+                direction: CARD_DIRECTIONS.REVERSE,
+                exerciseType: 'spelling'
+            });
             
             res.json({
                 success: true,
-                data: stats
+                data: {
+                    ...grade,
+                    answer: word.word,
+                    pronunciation: word.pronunciation,
+                    ...result,
+                    message: this.getEncouragementMessage(grade.quality)
+                }
             });
-            
         } catch (error) {
-            console.error('Get learning stats error:', error);
-            res.status(500).json({
-                success: false,
-                error: 'Không thể lấy thống kê học tập'
-            });
+            console.error('Submit spelling answer error:', error);
+            res.status(500).json({ success: false, error: 'Không thể chấm bài chính tả' });
         }
     }
-
-    // Set daily review goal
-    async setDailyGoal(req, res) {
+    
+    // Sentence building: put the scrambled words of an example sentence in order
+    async getSentenceBuildingSession(req, res) {
         try {
             const userId = req.user.id;
-            const { goal } = req.body;
-
-            const { error } = await supabase
-                .from('user_settings')
-                .upsert({ user_id: userId, daily_goal: goal, updated_at: new Date() });
-
+            const { listId, limit = 10 } = req.query;
+            
+            let query = supabase
+                .from('vocabulary_items')
+                .select('id, word, meaning, example_sentence, list:vocabulary_lists!inner(owner_id)')
+                .not('example_sentence', 'is', null);
+                
+            // One list the user may read, or else the user's own lists
+            if (listId) {
+                if (!await VocabularyList.findAccessible(listId, userId)) {
+                    return res.status(404).json({ success: false, error: 'Không tìm thấy danh sách từ vựng' });
+                }
+                query = query.eq('list_id', listId);
+            } else {
+                query = query.eq('list.owner_id', userId);
+            }
+            
+            // Skip words the user has suspended or buried
+            const inactiveIds = await LearningProgress.findInactiveVocabularyIds(userId);
+            if (inactiveIds.length > 0) {
+                query = query.not('id', 'in', `(${inactiveIds.join(',')})`);
+            }
+            
+            const { data: words, error } = await query.limit(limit);
+            
             if (error) throw error;
-
-            res.json({ success: true, message: 'Đã cập nhật mục tiêu ngày' });
+            
+            const exercises = words
+                .filter(word => sentenceBuilder.canBuild(word.example_sentence))
+                .sort(() => Math.random() - 0.5)
+                .map(word => {
+                    const { type, ...exercise } = exerciseBuilder.sentenceBuilding(word);
+                    return exercise;
+                });
+            
+            res.json({
+                success: true,
+                data: {
+                    exercises: exercises,
+                    total: exercises.length,
+                    sessionType: 'sentence-building'
+                }
+            });
+            
         } catch (error) {
-            console.error('Set daily goal error:', error);
-            res.status(500).json({ success: false, error: 'Không thể đặt mục tiêu' });
+            console.error('Get sentence building session error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Không thể tạo bài tập sắp xếp câu'
+            });
         }
     }
-
-    // Get streak information
-    async getStreakInfo(req, res) {
+    
+    // Grade a reordered sentence (equivalent orderings are accepted) and
+    // schedule the word accordingly
+    async submitSentenceBuildingAnswer(req, res) {
         try {
             const userId = req.user.id;
-            const { data: stats, error } = await supabase
-                .from('user_stats')
-                .select('current_streak, longest_streak')
-                .eq('user_id', userId)
+            const { wordId } = req.params;
+            const { tokens, responseTime } = req.body;
+            
+            const { data: word, error } = await supabase
+                .from('vocabulary_items')
+                .select('id, word, example_sentence, list:vocabulary_lists(owner_id, privacy)')
+                .eq('id', wordId)
                 .single();
-
-            if (error) throw error;
-
-            res.json({ success: true, data: stats || { current_streak: 0, longest_streak: 0 } });
+                
+            if (error || !word || !this.canAccessList(word.list, userId) || !sentenceBuilder.canBuild(word.example_sentence)) {
+                return res.status(404).json({ success: false, error: 'Không tìm thấy câu ví dụ cho từ vựng này' });
+            }
+            
+            const grade = sentenceBuilder.check(tokens, word.example_sentence);
+            
+            const { lapsed, ...result } = await reviewService.recordReview(userId, {
+                vocabularyId: word.id,
+                performance: grade.quality,
+                responseTime,
+                direction: exerciseBuilder.directionFor('sentence-building'),
+                exerciseType: 'sentence-building'
+            });
+            
+            res.json({
+                success: true,
+                data: {
+                    ...grade,
+                    answer: word.example_sentence,
+                    ...result,
+                    message: this.getEncouragementMessage(grade.quality)
+                }
+            });
         } catch (error) {
-            console.error('Get streak info error:', error);
-            res.status(500).json({ success: false, error: 'Không thể lấy chuỗi ngày' });
+            console.error('Submit sentence building answer error:', error);
+            res.status(500).json({ success: false, error: 'Không thể chấm bài sắp xếp câu' });
         }
     }
     
-    // Helper methods
-    async updateUserStats(userId) {
+    // USC7: Review with Word Association
+    async getWordAssociationSession(req, res) {
         try {
-            // Get all vocabulary progress
-            const { data: progress } = await supabase
-                .from('user_vocabulary')
-                .select('repetitions')
-                .eq('user_id', userId);
-                
-            const totalVocabulary = progress?.length || 0;
-            const masteredVocabulary = progress?.filter(p => p.repetitions >= 5).length || 0;
+            const userId = req.user.id;
+            const { listId, limit = 10 } = req.query;
             
-            // Get review stats
-            const { data: reviews } = await supabase
+            const pool = await distractorEngine.getPool(userId, listId);
+            
+            if (pool.length < 4) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Cần ít nhất 4 từ để tạo bài tập ghép từ'
+                });
+            }
+            
+            // Create word pairs with distractors (wrong options)
+            const words = pool.slice(0, parseInt(limit));
+            const distractors = await distractorEngine.pickFor(userId, words, pool);
+            const associations = words.map(word => {
+                const { type, ...association } = exerciseBuilder.wordAssociation(word, distractors.get(word.id));
+                return association;
+            });
+            
+            res.json({
+                success: true,
+                data: {
+                    associations: associations,
+                    total: associations.length,
+                    sessionType: 'word-association'
+                }
+            });
+            
+        } catch (error) {
+            console.error('Get word association session error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Không thể tạo bài tập ghép từ'
+            });
+        }
+    }
+    
+    // Multiple choice: pick the word that matches a meaning
+    async getMultipleChoiceSession(req, res) {
+        try {
+            const userId = req.user.id;
+            const { listId, limit = 10 } = req.query;
+            
+            const pool = await distractorEngine.getPool(userId, listId);
+            
+            if (pool.length < 4) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Cần ít nhất 4 từ để tạo bài tập trắc nghiệm'
+                });
+            }
+            
+            const words = pool.sort(() => Math.random() - 0.5).slice(0, parseInt(limit));
+            const distractors = await distractorEngine.pickFor(userId, words, pool);
+            const questions = words.map(word => {
+                const { type, ...question } = exerciseBuilder.multipleChoice(word, distractors.get(word.id));
+                return question;
+            });
+            
+            res.json({
+                success: true,
+                data: {
+                    questions: questions,
+                    total: questions.length,
+                    sessionType: 'multiple-choice'
+                }
+            });
+            
+        } catch (error) {
+            console.error('Get multiple choice session error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Không thể tạo bài tập trắc nghiệm'
+            });
+        }
+    }
+    
+    // One session over the due queue; each card gets the exercise that suits
+    // its maturity. Results go through submitReview (or the typed answer
+    // endpoints) with the card's direction.
+    async getSmartSession(req, res) {
+        try {
+            const userId = req.user.id;
+            const { limit = 20 } = req.query;
+            
+            const [config, { queue }] = await Promise.all([
+                spacedRepetition.getSchedulingConfig(userId),
+                reviewQueue.getQueue(userId, parseInt(limit))
+            ]);
+            
+            const items = queue
+                .filter(item => item.vocabulary)
+                .map(item => ({ item, mode: exerciseBuilder.smartMode(item, config) }));
+            
+            // Multiple-choice cards need wrong options from a wider pool
+            const choiceWords = items.filter(({ mode }) => mode === 'word-association' || mode === 'multiple-choice')
+                .map(({ item }) => item.vocabulary);
+            let distractors = new Map();
+            if (choiceWords.length > 0) {
+                const pool = await distractorEngine.getPool(userId);
+                const poolIds = new Set(pool.map(word => word.id));
+                const words = pool.concat(items.map(({ item }) => item.vocabulary).filter(word => !poolIds.has(word.id)));
+                distractors = await distractorEngine.pickFor(userId, choiceWords, words);
+            }
+            
+            const cards = items.map(({ item, mode }) => {
+                // Too few words for options: fall back to a flashcard
+                const exerciseMode = ['word-association', 'multiple-choice'].includes(mode) && !(distractors.get(item.vocabularyId) || []).length
+                    ? 'flashcard'
+                    : mode;
+                const direction = exerciseBuilder.directionFor(exerciseMode, item.direction);
+                
+                return {
+                    vocabularyId: item.vocabularyId,
+                    direction,
+                    maturity: exerciseBuilder.maturity(item),
+                    mode: exerciseMode,
+                    exercise: exerciseBuilder.build(exerciseMode, item.vocabulary, distractors.get(item.vocabularyId), direction)
+                };
+            });
+            
+            const breakdown = {};
+            cards.forEach(card => {
+                breakdown[card.mode] = (breakdown[card.mode] || 0) + 1;
+            });
+            
+            res.json({
+                success: true,
+                data: {
+                    cards: cards,
+                    total: cards.length,
+                    breakdown: breakdown,
+                    sessionType: 'smart'
+                }
+            });
+            
+        } catch (error) {
+            console.error('Get smart session error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Không thể tạo phiên ôn tập thông minh'
+            });
+        }
+    }
+    
+    // Collocation and context-usage exercises built from example sentences.
+    // Answers are checked client-side and reported through submitReview.
+    async getUsageSession(req, res) {
+        try {
+            const userId = req.user.id;
+            const { type: exerciseType, listId, limit = 10 } = req.query;
+            
+            const pool = await distractorEngine.getPool(userId, listId);
+            const words = pool
+                .filter(word => word.example_sentence)
+                .sort(() => Math.random() - 0.5);
+            
+            // Not every example yields an item, so keep going until `limit` is reached
+            const exercises = await usageExercises.generateFor(words, pool, exerciseType, parseInt(limit));
+            const questions = [...exercises.values()].map(({ type, ...question }) => question);
+            
+            res.json({
+                success: true,
+                data: {
+                    questions: questions,
+                    total: questions.length,
+                    sessionType: exerciseType
+                }
+            });
+            
+        } catch (error) {
+            console.error('Get usage session error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Không thể tạo bài tập cách dùng từ'
+            });
+        }
+    }
+    
+    // Server-side review sessions
+    async startSession(req, res) {
+        try {
+            const userId = req.user.id;
+            const { mode = 'flashcard', listId, limit = 20, duration } = req.body;
+            
+            const session = await reviewSessions.start(userId, { mode, listId, limit: parseInt(limit), duration });
+            
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'Không có từ nào để ôn tập' });
+            }
+            
+            res.status(201).json({ success: true, data: reviewSessions.toView(session) });
+        } catch (error) {
+            console.error('Start review session error:', error);
+            res.status(500).json({ success: false, error: 'Không thể bắt đầu phiên ôn tập' });
+        }
+    }
+    
+    async getActiveSession(req, res) {
+        try {
+            const userId = req.user.id;
+            
+            const session = await reviewSessions.getActive(userId);
+            
+            res.json({ success: true, data: session ? reviewSessions.toView(session) : null });
+        } catch (error) {
+            console.error('Get active review session error:', error);
+            res.status(500).json({ success: false, error: 'Không thể lấy phiên ôn tập' });
+        }
+    }
+    
+    async getSession(req, res) {
+        try {
+            const userId = req.user.id;
+            const { sessionId } = req.params;
+            
+            const session = await reviewSessions.get(userId, sessionId);
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'Không tìm thấy phiên ôn tập' });
+            }
+            
+            res.json({ success: true, data: reviewSessions.toView(session) });
+        } catch (error) {
+            console.error('Get review session error:', error);
+            res.status(500).json({ success: false, error: 'Không thể lấy phiên ôn tập' });
+        }
+    }
+    
+    async getNextSessionCard(req, res) {
+        try {
+            const userId = req.user.id;
+            const { sessionId } = req.params;
+            
+            const session = await reviewSessions.get(userId, sessionId);
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'Không tìm thấy phiên ôn tập' });
+            }
+            
+            if (session.status !== SESSION_STATUSES.ACTIVE) {
+                return res.status(409).json({ success: false, error: 'Phiên ôn tập đang tạm dừng hoặc đã kết thúc' });
+            }
+            
+            if (session.timeLimitMs && speedRound.isExpired(session)) {
+                await reviewSessions.close(session);
+                return res.status(409).json({ success: false, error: 'Đã hết giờ', data: reviewSessions.toView(session) });
+            }
+            
+            res.json({
+                success: true,
+                data: {
+                    card: reviewSessions.cardView(reviewSessions.currentCard(session)),
+                    position: session.position,
+                    total: session.cards.length
+                }
+            });
+        } catch (error) {
+            console.error('Get next session card error:', error);
+            res.status(500).json({ success: false, error: 'Không thể lấy thẻ tiếp theo' });
+        }
+    }
+    
+    async submitSessionAnswer(req, res) {
+        try {
+            const userId = req.user.id;
+            const { sessionId } = req.params;
+            const { vocabularyId, performance, correct, responseTime, answer, tokens, optionId } = req.body;
+            
+            const session = await reviewSessions.get(userId, sessionId);
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'Không tìm thấy phiên ôn tập' });
+            }
+            
+            if (session.status !== SESSION_STATUSES.ACTIVE) {
+                return res.status(409).json({ success: false, error: 'Phiên ôn tập đang tạm dừng hoặc đã kết thúc' });
+            }
+            
+            // Answers after a speed round's time limit do not count
+            if (session.timeLimitMs && speedRound.isExpired(session)) {
+                await reviewSessions.close(session);
+                return res.status(409).json({ success: false, error: 'Đã hết giờ', data: reviewSessions.toView(session) });
+            }
+            
+            // Answers must match the card being shown, so a stale device cannot skip ahead
+            const card = reviewSessions.currentCard(session);
+            if (!card || card.vocabularyId !== vocabularyId) {
+                return res.status(409).json({ success: false, error: 'Câu trả lời không khớp với thẻ hiện tại' });
+            }
+            
+            // Speed round cards are scored from the chosen option only
+            if (card.correctOptionId && optionId === undefined) {
+                return res.status(400).json({ success: false, error: 'Thiếu đáp án đã chọn cho thẻ này' });
+            }
+            
+            // Self-rated cards need a performance (or correctness); graded ones need their answer
+            if (performance === undefined && correct === undefined && !reviewSessions.grade(card, { answer, tokens, optionId })) {
+                return res.status(400).json({ success: false, error: 'Thiếu mức độ ghi nhớ cho thẻ này' });
+            }
+            
+            const { lapsed, ...result } = await reviewSessions.answer(session, { performance, correct, responseTime, answer, tokens, optionId });
+            
+            // A speed round ends early when it runs out of cards
+            if (session.timeLimitMs && !reviewSessions.currentCard(session)) {
+                await reviewSessions.close(session);
+            }
+            
+            res.json({
+                success: true,
+                data: {
+                    ...result,
+                    nextCard: session.status === SESSION_STATUSES.FINISHED ? null : reviewSessions.cardView(reviewSessions.currentCard(session)),
+                    remaining: session.cards.length - session.position,
+                    ...(session.timeLimitMs && { remainingMs: speedRound.remainingMs(session), summary: session.summary })
+                }
+            });
+        } catch (error) {
+            console.error('Submit session answer error:', error);
+            res.status(500).json({ success: false, error: 'Không thể lưu kết quả ôn tập' });
+        }
+    }
+    
+    // Pause, resume or finish a session
+    async updateSessionStatus(req, res) {
+        try {
+            const userId = req.user.id;
+            const { sessionId, action } = req.params;
+            
+            const session = await reviewSessions.get(userId, sessionId);
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'Không tìm thấy phiên ôn tập' });
+            }
+            
+            const allowedFrom = {
+                pause: [SESSION_STATUSES.ACTIVE],
+                resume: [SESSION_STATUSES.PAUSED],
+                finish: [SESSION_STATUSES.ACTIVE, SESSION_STATUSES.PAUSED]
+            };
+            if (!allowedFrom[action].includes(session.status)) {
+                return res.status(409).json({ success: false, error: 'Không thể thực hiện thao tác này với phiên ôn tập' });
+            }
+            
+            // The clock keeps running in a speed round
+            if (action === 'pause' && session.timeLimitMs) {
+                return res.status(409).json({ success: false, error: 'Không thể tạm dừng vòng thi tốc độ' });
+            }
+            
+            if (action === 'finish') {
+                await reviewSessions.close(session);
+            } else {
+                reviewSessions[action](session);
+                await reviewSessions.save(session);
+            }
+            
+            res.json({ success: true, data: reviewSessions.toView(session) });
+        } catch (error) {
+            console.error('Update review session error:', error);
+            res.status(500).json({ success: false, error: 'Không thể cập nhật phiên ôn tập' });
+        }
+    }
+    
+    // Personal speed round bests, with the user's usual pace from review history
+    async getSpeedRoundBests(req, res) {
+        try {
+            const userId = req.user.id;
+            const { listId } = req.query;
+            
+            const [bests, typicalResponseTime] = await Promise.all([
+                speedRound.getBests(userId, listId),
+                responseGrader.getMedianResponseTime(userId)
+            ]);
+            
+            res.json({
+                success: true,
+                data: {
+                    bests,
+                    typicalResponseTime
+                }
+            });
+        } catch (error) {
+            console.error('Get speed round bests error:', error);
+            res.status(500).json({ success: false, error: 'Không thể lấy thành tích vòng thi tốc độ' });
+        }
+    }
+    
+    // Offline sync: download a signed batch of due cards for mobile clients
+    async getSyncBatch(req, res) {
+        try {
+            const userId = req.user.id;
+            const { limit = 100 } = req.query;
+            
+            const batch = await reviewSync.createBatch(userId, parseInt(limit));
+            
+            res.json({
+                success: true,
+                data: batch
+            });
+        } catch (error) {
+            console.error('Get sync batch error:', error);
+            res.status(500).json({ success: false, error: 'Không thể tạo gói ôn tập ngoại tuyến' });
+        }
+    }
+    
+    // Offline sync: upload the reviews made offline against a batch
+    async syncReviews(req, res) {
+        try {
+            const userId = req.user.id;
+            const { token, events } = req.body;
+            
+            const result = await reviewSync.sync(userId, { token, events });
+            if (!result) {
+                return res.status(400).json({ success: false, error: 'Gói ôn tập không hợp lệ hoặc đã hết hạn' });
+            }
+            
+            res.json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            console.error('Sync reviews error:', error);
+            res.status(500).json({ success: false, error: 'Không thể đồng bộ kết quả ôn tập' });
+        }
+    }
+    
+    // Get learning statistics
+    async getLearningStats(req, res) {
+        try {
+            const userId = req.user.id;
+            const { period = '7d' } = req.query;
+            
+            // Get date range
+            const endDate = new Date();
+            const startDate = new Date();
+            switch(period) {
+                case '24h': startDate.setDate(startDate.getDate() - 1); break;
+                case '7d': startDate.setDate(startDate.getDate() - 7); break;
+                case '30d': startDate.setDate(startDate.getDate() - 30); break;
+                case 'all': startDate.setFullYear(2020); break;
+            }
+            
+            // Get review history
+            const { data: reviews, error: reviewError } = await supabase
                 .from('review_history')
-                .select('is_correct, reviewed_at')
-                .eq('user_id', userId);
+                .select('*')
+                .eq('user_id', userId)
+                .gte('reviewed_at', startDate.toISOString())
+                .lte('reviewed_at', endDate.toISOString());
+                
+            if (reviewError) throw reviewError;
+            
+            // Get user stats
+            const { data: userStats, error: statsError } = await supabase
+                .from('user_stats')
+                .select('*')
+                .eq('user_id', userId)
+                .single();
                 
-            const totalReviews = reviews?.length || 0;
-            const correctReviews = reviews?.filter(r => r.is_correct).length || 0;
+            if (statsError) throw statsError;
             
-            // Calculate streak
-            const currentStreak = await this.calculateStreak(userId);
+            const cardStates = await LearningProgress.getCardStateCounts(userId);
             
-            // Update user_stats
-            await supabase
+            // Calculate statistics
+            const stats = {
+                period: period,
+                totalReviews: reviews.length,
+                correctReviews: reviews.filter(r => r.is_correct).length,
+                accuracy: reviews.length > 0 
+                    ? Math.round((reviews.filter(r => r.is_correct).length / reviews.length) * 100)
+                    : 0,
+                averageResponseTime: reviews.length > 0
+                    ? Math.round(reviews.reduce((sum, r) => sum + (r.response_time || 0), 0) / reviews.length)
+                    : 0,
+                currentStreak: userStats?.current_streak || 0,
+                longestStreak: userStats?.longest_streak || 0,
+                totalVocabulary: userStats?.total_vocabulary || 0,
+                masteredVocabulary: userStats?.mastered_vocabulary || 0,
+                cardStates,
+                directions: this.calculateDirectionStats(reviews),
+                dailyBreakdown: this.calculateDailyBreakdown(reviews)
+            };
+            
+            res.json({
+                success: true,
+                data: stats
+            });
+            
+        } catch (error) {
+            console.error('Get learning stats error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Không thể lấy thống kê học tập'
+            });
+        }
+    }
+
+    // Projected review load per day
+    async getReviewForecast(req, res) {
+        try {
+            const userId = req.user.id;
+            const { days = 30 } = req.query;
+            
+            const forecast = await reviewForecast.getForecast(userId, parseInt(days));
+            
+            res.json({
+                success: true,
+                data: forecast
+            });
+        } catch (error) {
+            console.error('Get review forecast error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Không thể dự báo lịch ôn tập'
+            });
+        }
+    }
+
+    // Set daily review goal
+    async setDailyGoal(req, res) {
+        try {
+            const userId = req.user.id;
+            const { goal } = req.body;
+
+            const { error } = await supabase
+                .from('user_settings')
+                .upsert({ user_id: userId, daily_goal: goal, updated_at: new Date() });
+
+            if (error) throw error;
+
+            res.json({ success: true, message: 'Đã cập nhật mục tiêu ngày' });
+        } catch (error) {
+            console.error('Set daily goal error:', error);
+            res.status(500).json({ success: false, error: 'Không thể đặt mục tiêu' });
+        }
+    }
+
+    // Get streak information
+    async getStreakInfo(req, res) {
+        try {
+            const userId = req.user.id;
+            const { data: stats, error } = await supabase
                 .from('user_stats')
-                .upsert({
-                    user_id: userId,
-                    total_vocabulary: totalVocabulary,
-                    mastered_vocabulary: masteredVocabulary,
-                    total_reviews: totalReviews,
-                    correct_reviews: correctReviews,
-                    current_streak: currentStreak,
-                    last_review_date: new Date()
+                .select('current_streak, longest_streak')
+                .eq('user_id', userId)
+                .single();
+
+            if (error) throw error;
+
+            res.json({ success: true, data: stats || { current_streak: 0, longest_streak: 0 } });
+        } catch (error) {
+            console.error('Get streak info error:', error);
+            res.status(500).json({ success: false, error: 'Không thể lấy chuỗi ngày' });
+        }
+    }
+    
+    // Absence windows (vacation mode)
+    async getAbsences(req, res) {
+        try {
+            const userId = req.user.id;
+            
+            const absences = await vacationService.getAbsences(userId);
+            
+            res.json({ success: true, data: absences });
+        } catch (error) {
+            console.error('Get absences error:', error);
+            res.status(500).json({ success: false, error: 'Không thể lấy lịch nghỉ' });
+        }
+    }
+    
+    async createAbsence(req, res) {
+        try {
+            const userId = req.user.id;
+            const { startDate, endDate, reason } = req.body;
+            
+            const absence = await vacationService.createAbsence(userId, { startDate, endDate, reason });
+            
+            res.status(201).json({
+                success: true,
+                data: absence,
+                message: 'Đã lưu lịch nghỉ, chuỗi ngày học của bạn sẽ được giữ nguyên'
+            });
+        } catch (error) {
+            console.error('Create absence error:', error);
+            res.status(500).json({ success: false, error: 'Không thể lưu lịch nghỉ' });
+        }
+    }
+    
+    async deleteAbsence(req, res) {
+        try {
+            const userId = req.user.id;
+            const { absenceId } = req.params;
+            
+            const deleted = await vacationService.deleteAbsence(userId, absenceId);
+            if (!deleted) {
+                return res.status(404).json({ success: false, error: 'Không tìm thấy lịch nghỉ' });
+            }
+            
+            res.json({ success: true, message: 'Đã xóa lịch nghỉ' });
+        } catch (error) {
+            console.error('Delete absence error:', error);
+            res.status(500).json({ success: false, error: 'Không thể xóa lịch nghỉ' });
+        }
+    }
+    
+    // Preview how the overdue backlog would be spread over the coming days
+    async previewCatchUp(req, res) {
+        try {
+            const userId = req.user.id;
+            const { days = vacationService.DEFAULT_CATCH_UP_DAYS } = req.query;
+            
+            const { assignments, ...plan } = await vacationService.previewCatchUp(userId, parseInt(days));
+            
+            res.json({ success: true, data: plan });
+        } catch (error) {
+            console.error('Preview catch-up error:', error);
+            res.status(500).json({ success: false, error: 'Không thể lập kế hoạch ôn bù' });
+        }
+    }
+    
+    async applyCatchUp(req, res) {
+        try {
+            const userId = req.user.id;
+            const { days = vacationService.DEFAULT_CATCH_UP_DAYS } = req.body;
+            
+            const { assignments, ...plan } = await vacationService.applyCatchUp(userId, parseInt(days));
+            
+            await cacheService.del(`review_queue:${userId}`);
+            
+            res.json({
+                success: true,
+                data: plan,
+                message: `Đã chia ${plan.backlog} từ quá hạn ra ${plan.days} ngày`
+            });
+        } catch (error) {
+            console.error('Apply catch-up error:', error);
+            res.status(500).json({ success: false, error: 'Không thể áp dụng kế hoạch ôn bù' });
+        }
+    }
+    
+    // Get personalized scheduler parameters
+    async getSchedulerParameters(req, res) {
+        try {
+            const userId = req.user.id;
+            
+            const [fitted, reviewCount, { scheduler }] = await Promise.all([
+                schedulerOptimizer.getParameters(userId),
+                schedulerOptimizer.countReviews(userId),
+                spacedRepetition.getSchedulingConfig(userId)
+            ]);
+            
+            res.json({
+                success: true,
+                data: {
+                    optimized: !!fitted,
+                    eligible: scheduler === schedulerOptimizer.scheduler && reviewCount >= schedulerOptimizer.minReviews,
+                    reviewCount,
+                    minReviews: schedulerOptimizer.minReviews,
+                    parameters: fitted?.parameters || null,
+                    predictedRetention: fitted?.predicted_retention ?? null,
+                    actualRetention: fitted?.actual_retention ?? null,
+                    logLossBefore: fitted?.log_loss_before ?? null,
+                    logLossAfter: fitted?.log_loss_after ?? null,
+                    optimizedAt: fitted?.optimized_at || null
+                }
+            });
+        } catch (error) {
+            console.error('Get scheduler parameters error:', error);
+            res.status(500).json({ success: false, error: 'Không thể lấy tham số lịch ôn tập' });
+        }
+    }
+    
+    // Fit scheduler parameters to the user's review history
+    async optimizeScheduler(req, res) {
+        try {
+            const userId = req.user.id;
+            
+            // SM-2 does not read fitted parameters
+            const { scheduler } = await spacedRepetition.getSchedulingConfig(userId);
+            if (scheduler !== schedulerOptimizer.scheduler) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Chỉ có thể tối ưu lịch ôn tập khi dùng thuật toán FSRS'
+                });
+            }
+            
+            const result = await schedulerOptimizer.optimizeForUser(userId, {
+                maxReviews: schedulerOptimizer.MAX_REQUEST_REVIEWS
+            });
+            
+            res.json({
+                success: true,
+                data: {
+                    parameters: result.parameters,
+                    reviewCount: result.review_count,
+                    predictedRetention: result.predicted_retention,
+                    actualRetention: result.actual_retention,
+                    logLossBefore: result.log_loss_before,
+                    logLossAfter: result.log_loss_after,
+                    optimizedAt: result.optimized_at
+                },
+                message: 'Đã tối ưu lịch ôn tập theo lịch sử học của bạn'
+            });
+        } catch (error) {
+            console.error('Optimize scheduler error:', error);
+            
+            if (error.message === 'Not enough review history') {
+                return res.status(400).json({
+                    success: false,
+                    error: `Cần ít nhất ${schedulerOptimizer.minReviews} lượt ôn tập để tối ưu lịch ôn tập`
                 });
+            }
+            
+            res.status(500).json({ success: false, error: 'Không thể tối ưu lịch ôn tập' });
+        }
+    }
+    
+    // Suspend, unsuspend, bury or reset scheduling for one word
+    async updateCardState(req, res) {
+        try {
+            const userId = req.user.id;
+            const { wordId, action } = req.params;
+            
+            const progress = await LearningProgress.findByUserAndVocab(userId, wordId);
+            if (!progress) {
+                return res.status(404).json({ success: false, error: 'Từ này chưa có trong danh sách học của bạn' });
+            }
+            
+            let cards;
+            let message;
+            switch (action) {
+                case 'suspend':
+                    cards = await LearningProgress.suspend(userId, wordId);
+                    message = 'Đã tạm dừng ôn tập từ này';
+                    break;
+                case 'unsuspend':
+                    cards = await LearningProgress.unsuspend(userId, wordId);
+                    message = 'Đã tiếp tục ôn tập từ này';
+                    break;
+                case 'bury': {
+                    const { timezone } = await spacedRepetition.getSchedulingConfig(userId);
+                    cards = await LearningProgress.bury(userId, wordId, addDays(new Date(), 1, timezone));
+                    message = 'Đã tạm ẩn từ này đến ngày mai';
+                    break;
+                }
+                case 'reset':
+                    cards = await LearningProgress.resetScheduling(userId, wordId);
+                    message = 'Đã đặt lại tiến độ ôn tập của từ này';
+                    break;
+            }
+            
+            await cacheService.del(`review_queue:${userId}`);
+            
+            res.json({
+                success: true,
+                data: cards,
+                message
+            });
+        } catch (error) {
+            console.error('Update card state error:', error);
+            res.status(500).json({ success: false, error: 'Không thể cập nhật trạng thái thẻ' });
+        }
+    }
+    
+    // Get words the user keeps failing (leeches)
+    async getLeeches(req, res) {
+        try {
+            const userId = req.user.id;
+            
+            const { data: leeches, error } = await supabase
+                .from('user_vocabulary')
+                .select(`
+                    vocabulary_id,
+                    direction,
+                    exercise_type,
+                    lapses,
+                    is_suspended,
+                    total_reviews,
+                    correct_reviews,
+                    vocabulary:vocabulary_items(id, word, meaning, example_sentence)
+                `)
+                .eq('user_id', userId)
+                .eq('is_leech', true)
+                .order('lapses', { ascending: false });
                 
+            if (error) throw error;
+            
+            res.json({
+                success: true,
+                data: {
+                    leeches: leeches || [],
+                    total: leeches?.length || 0
+                }
+            });
         } catch (error) {
-            console.error('Update user stats error:', error);
+            console.error('Get leeches error:', error);
+            res.status(500).json({ success: false, error: 'Không thể lấy danh sách từ khó nhớ' });
         }
     }
     
-    async calculateStreak(userId) {
-        const { data: reviews } = await supabase
-            .from('review_history')
-            .select('reviewed_at')
-            .eq('user_id', userId)
-            .order('reviewed_at', { ascending: false })
-            .limit(100);
+    // AI mnemonic for a leech
+    async getLeechMnemonic(req, res) {
+        try {
+            const userId = req.user.id;
+            const { vocabularyId } = req.params;
             
-        if (!reviews || reviews.length === 0) return 0;
-        
-        let streak = 1;
-        let currentDate = new Date(reviews[0].reviewed_at);
-        currentDate.setHours(0, 0, 0, 0);
-        
-        for (let i = 1; i < reviews.length; i++) {
-            const reviewDate = new Date(reviews[i].reviewed_at);
-            reviewDate.setHours(0, 0, 0, 0);
+            const { data: progress, error } = await supabase
+                .from('user_vocabulary')
+                .select('is_leech, vocabulary:vocabulary_items(word, meaning)')
+                .eq('user_id', userId)
+                .eq('vocabulary_id', vocabularyId)
+                .order('is_leech', { ascending: false })
+                .limit(1)
+                .maybeSingle();
+                
+            if (error) throw error;
             
-            const dayDiff = Math.floor((currentDate - reviewDate) / (1000 * 60 * 60 * 24));
+            if (!progress?.vocabulary) {
+                return res.status(404).json({ success: false, error: 'Không tìm thấy từ vựng' });
+            }
             
-            if (dayDiff === 1) {
-                streak++;
-                currentDate = reviewDate;
-            } else if (dayDiff > 1) {
-                break;
+            // Mnemonics are generated for leeches only (any card of the word)
+            if (!progress.is_leech) {
+                return res.status(400).json({ success: false, error: 'Từ vựng này không phải là từ hay quên' });
             }
+            
+            const mnemonic = await aiService.generateMnemonic(progress.vocabulary.word, progress.vocabulary.meaning);
+            
+            res.json({
+                success: true,
+                data: {
+                    vocabularyId,
+                    word: progress.vocabulary.word,
+                    mnemonic
+                }
+            });
+        } catch (error) {
+            console.error('Get leech mnemonic error:', error);
+            res.status(500).json({ success: false, error: 'Không thể tạo gợi ý ghi nhớ' });
         }
-        
-        return streak;
     }
     
+    // Helper methods
     calculateDailyBreakdown(reviews) {
         const breakdown = {};
         
@@ -559,6 +1376,31 @@ class ReviewController {
         }));
     }
     
+    // Recognition (term -> definition) vs recall (definition -> term)
+    // By the direction the exercise tested: review_history.direction is the
+    // card's key, which stays 'forward' unless reverse cards are on
+    calculateDirectionStats(reviews) {
+        const summarize = (direction) => {
+            const matching = reviews.filter(r => exerciseBuilder.directionFor(r.exercise, r.direction || CARD_DIRECTIONS.FORWARD) === direction);
+            const correct = matching.filter(r => r.is_correct).length;
+            return {
+                total: matching.length,
+                correct,
+                accuracy: matching.length > 0 ? Math.round((correct / matching.length) * 100) : 0
+            };
+        };
+        
+        return {
+            recognition: summarize(CARD_DIRECTIONS.FORWARD),
+            recall: summarize(CARD_DIRECTIONS.REVERSE)
+        };
+    }
+    
+    // Words of another user's private list cannot be reviewed
+    canAccessList(list, userId) {
+        return VocabularyList.canAccess(list, userId);
+    }
+    
     getEncouragementMessage(performance) {
         const messages = {
             0: 'Đừng lo, luyện tập nhiều sẽ nhớ thôi! 💪',
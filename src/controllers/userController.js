@@ -106,7 +106,20 @@ class UserController {
                 notificationPush,
                 timezone,
                 language,
-                theme
+                theme,
+                scheduler,
+                desiredRetention,
+                learningSteps,
+                relearningSteps,
+                leechThreshold,
+                leechAction,
+                newCardsPerDay,
+                reviewsPerDay,
+                queueOrder,
+                loadBalancing,
+                reverseCards,
+                scheduleByExercise,
+                autoGrade
             } = req.body;
             
             // ✅ Use Model Layer: Update settings with validation
@@ -116,7 +129,20 @@ class UserController {
                 notification_push: notificationPush,
                 timezone,
                 language,
-                theme
+                theme,
+                scheduler,
+                desired_retention: desiredRetention,
+                learning_steps: learningSteps,
+                relearning_steps: relearningSteps,
+                leech_threshold: leechThreshold,
+                leech_action: leechAction,
+                new_cards_per_day: newCardsPerDay,
+                reviews_per_day: reviewsPerDay,
+                queue_order: queueOrder,
+                load_balancing: loadBalancing,
+                reverse_cards: reverseCards,
+                schedule_by_exercise: scheduleByExercise,
+                auto_grade: autoGrade
             });
             
             res.json({
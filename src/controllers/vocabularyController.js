@@ -1,5 +1,7 @@
 const supabase = require('../config/database');
 const aiService = require('../services/aiService');
+const vocabularyImport = require('../services/vocabularyImport');
+const ankiPackage = require('../services/ankiPackage');
 
 class VocabularyController {
     // Get all vocabulary lists - USC8: Choose vocabulary list
@@ -82,7 +84,11 @@ class VocabularyController {
                         meaning: word.meaning,
                         pronunciation: word.pronunciation,
                         example_sentence: exampleSentence,
-                        image_url: word.image_url
+                        image_url: word.image_url,
+                        audio_url: word.audio_url,
+                        part_of_speech: word.part_of_speech,
+                        difficulty_level: word.difficulty_level,
+                        synonyms: word.synonyms
                     };
                 }));
                 
@@ -259,7 +265,11 @@ class VocabularyController {
                     meaning: wordData.meaning,
                     pronunciation: wordData.pronunciation,
                     example_sentence: wordData.example_sentence,
-                    image_url: wordData.image_url
+                    image_url: wordData.image_url,
+                    audio_url: wordData.audio_url,
+                    part_of_speech: wordData.part_of_speech,
+                    difficulty_level: wordData.difficulty_level,
+                    synonyms: wordData.synonyms
                 })
                 .select()
                 .single();
@@ -273,6 +283,105 @@ class VocabularyController {
             res.status(500).json({ error: 'Failed to add word' });
         }
     }
+    
+    // Import words from a CSV / TSV file
+    async importWords(req, res) {
+        try {
+            const { listId } = req.params;
+            const userId = req.user.id;
+            const { delimiter, mapping } = req.body;
+            
+            if (!req.file) {
+                return res.status(400).json({ error: 'File is required' });
+            }
+            
+            // Check ownership
+            const { data: list } = await supabase
+                .from('vocabulary_lists')
+                .select('owner_id')
+                .eq('id', listId)
+                .single();
+                
+            if (!list || list.owner_id !== userId) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+            
+            const result = await vocabularyImport.importList(listId, req.file.buffer.toString('utf8'), {
+                delimiter,
+                mapping: mapping ? JSON.parse(mapping) : undefined
+            });
+            
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            
+            res.status(result.imported > 0 ? 201 : 200).json(result);
+            
+        } catch (error) {
+            console.error('Import words error:', error);
+            res.status(500).json({ error: 'Failed to import words' });
+        }
+    }
+    
+    // Import an Anki deck (.apkg) as a new list
+    async importAnki(req, res) {
+        try {
+            const userId = req.user.id;
+            const { name } = req.body;
+            
+            if (!req.file) {
+                return res.status(400).json({ error: 'File is required' });
+            }
+            
+            const result = await ankiPackage.importPackage(userId, req.file.buffer, { name });
+            
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            
+            res.status(201).json(result);
+            
+        } catch (error) {
+            console.error('Import Anki deck error:', error);
+            res.status(500).json({ error: 'Failed to import Anki deck' });
+        }
+    }
+    
+    // Export a list and the user's progress on it as an Anki deck (.apkg)
+    async exportAnki(req, res) {
+        try {
+            const { id } = req.params;
+            const userId = req.user.id;
+            
+            const { data: list } = await supabase
+                .from('vocabulary_lists')
+                .select('id, name, owner_id, privacy')
+                .eq('id', id)
+                .single();
+                
+            if (!list) {
+                return res.status(404).json({ error: 'List not found' });
+            }
+            
+            // Check access permission
+            if (list.privacy === 'private' && list.owner_id !== userId) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+            
+            const file = await ankiPackage.exportList(userId, list);
+            const filename = (list.name || 'vocabulary').replace(/[^\p{L}\p{N} _-]/gu, '').trim() || 'vocabulary';
+            
+            res.set({
+                'Content-Type': 'application/octet-stream',
+                'Content-Disposition': `attachment; filename="export.apkg"; filename*=UTF-8''${encodeURIComponent(filename)}.apkg`
+            });
+            res.send(file);
+            
+        } catch (error) {
+            console.error('Export Anki deck error:', error);
+            res.status(500).json({ error: 'Failed to export Anki deck' });
+        }
+    }
 }
 
 module.exports = new VocabularyController();
\ No newline at end of file
@@ -36,7 +36,8 @@ const fileUpload = multer({
     files: 5
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'text/csv'];
+    // Browsers report CSV / TSV files under several types
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'text/csv', 'text/tab-separated-values', 'text/plain', 'application/vnd.ms-excel'];
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
@@ -45,4 +46,19 @@ const fileUpload = multer({
   }
 });
 
-module.exports = { parsingMiddleware, fileUpload };
\ No newline at end of file
+// Anki packages (.apkg) bundle their media, so they get a larger limit
+const packageUpload = multer({
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.apkg$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type'), false);
+    }
+  }
+});
+
+module.exports = { parsingMiddleware, fileUpload, packageUpload };
\ No newline at end of file
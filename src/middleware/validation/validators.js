@@ -1,4 +1,6 @@
-const { body, param, query, validationResult } = require('express-validator');
+const { body, param, query, header, validationResult } = require('express-validator');
+const { EXERCISE_MODES } = require('../../services/exerciseBuilder');
+const { MAX_BATCH_REVIEWS } = require('../../services/reviewBatch');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -16,6 +18,34 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Runs a validator list against every element of an array field, so a
+// bulk endpoint checks each item with the single-item rules
+const validateEach = (field, validators) => async (req, res, next) => {
+  const chains = validators.filter(validator => typeof validator.run === 'function');
+  const details = [];
+
+  for (const [index, item] of (req.body[field] || []).entries()) {
+    const itemReq = { body: item };
+    for (const chain of chains) {
+      await chain.run(itemReq);
+    }
+    validationResult(itemReq).array().forEach(err => details.push({
+      field: `${field}[${index}].${err.path}`,
+      message: err.msg,
+      value: err.value
+    }));
+  }
+
+  if (details.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details
+    });
+  }
+  next();
+};
+
 // Common validation patterns
 const commonValidators = {
   uuid: (field = 'id') => param(field).isUUID().withMessage('Invalid ID format'),
@@ -74,19 +104,51 @@ const vocabularyValidators = {
     body('example').optional().trim().isLength({ max: 300 }),
     body('pronunciation').optional().trim().isLength({ max: 100 }),
     handleValidationErrors
+  ],
+
+  importWords: [
+    commonValidators.uuid('listId'),
+    body('delimiter').optional().isIn([',', ';', '\t']),
+    body('mapping').optional().isJSON({ allow_primitives: false }),
+    handleValidationErrors
+  ],
+
+  importAnki: [
+    body('name').optional().trim().isLength({ min: 1, max: 100 }),
+    handleValidationErrors
+  ],
+
+  exportAnki: [
+    commonValidators.uuid('id'),
+    handleValidationErrors
   ]
 };
 
 const reviewValidators = {
   submitReview: [
     body('vocabularyId').isUUID(),
-    body('performance').isInt({ min: 0, max: 3 }),
+    // A self-reported rating, or whether the answer was right (the rating is
+    // then derived from the response time)
+    body('performance').optional().isInt({ min: 0, max: 3 }),
+    body('correct').if(body('performance').not().exists()).isBoolean().toBoolean(),
+    body('correct').optional().isBoolean().toBoolean(),
     body('responseTime').optional().isInt({ min: 0, max: 300000 }),
     body('isNew').optional().isBoolean(),
+    body('direction').optional().isIn(['forward', 'reverse']),
+    body('exerciseType').optional().isIn(EXERCISE_MODES),
     handleValidationErrors
   ]
 };
 
+// Bulk submission: every review must pass the submitReview rules
+reviewValidators.submitBatch = [
+  header('idempotency-key').isString().trim().isLength({ min: 1, max: 255 }),
+  body('reviews').isArray({ min: 1, max: MAX_BATCH_REVIEWS }),
+  body('reviews.*').isObject(),
+  handleValidationErrors,
+  validateEach('reviews', reviewValidators.submitReview)
+];
+
 const classroomValidators = {
   create: [
     body('name').trim().isLength({ min: 1, max: 100 }),
@@ -106,6 +168,7 @@ const classroomValidators = {
 
 module.exports = {
   handleValidationErrors,
+  validateEach,
   commonValidators,
   authValidators,
   vocabularyValidators,
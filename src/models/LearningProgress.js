@@ -12,15 +12,25 @@ class LearningProgress {
         return data;
     }
     
-    static async findByUserAndVocab(userId, vocabularyId) {
-        const { data, error } = await supabase
+    // A word can have several cards (forward/reverse, per exercise type);
+    // without a direction this returns the forward card if there is one
+    static async findByUserAndVocab(userId, vocabularyId, direction = null) {
+        let query = supabase
             .from('user_vocabulary')
             .select('*')
             .eq('user_id', userId)
-            .eq('vocabulary_id', vocabularyId)
-            .single();
+            .eq('vocabulary_id', vocabularyId);
+            
+        if (direction) {
+            query = query.eq('direction', direction);
+        }
+        
+        const { data, error } = await query
+            .order('direction', { ascending: true })
+            .limit(1)
+            .maybeSingle();
             
-        if (error && error.code !== 'PGRST116') throw error;
+        if (error) throw error;
         return data;
     }
     
@@ -86,6 +96,87 @@ class LearningProgress {
         return stats;
     }
     
+    // Update every card of a word
+    static async updateCards(userId, vocabularyId, updates) {
+        const { data, error } = await supabase
+            .from('user_vocabulary')
+            .update(updates)
+            .eq('user_id', userId)
+            .eq('vocabulary_id', vocabularyId)
+            .select();
+            
+        if (error) throw error;
+        return data || [];
+    }
+    
+    // Card state operations apply to all cards of the word
+    static async suspend(userId, vocabularyId) {
+        return await this.updateCards(userId, vocabularyId, { is_suspended: true });
+    }
+    
+    static async unsuspend(userId, vocabularyId) {
+        return await this.updateCards(userId, vocabularyId, { is_suspended: false });
+    }
+    
+    static async bury(userId, vocabularyId, until) {
+        return await this.updateCards(userId, vocabularyId, { buried_until: until });
+    }
+    
+    // Forget all scheduling for a word, keeping its review totals
+    static async resetScheduling(userId, vocabularyId) {
+        return await this.updateCards(userId, vocabularyId, {
+            easiness_factor: 2.5,
+            repetitions: 0,
+            interval: 1,
+            stability: null,
+            difficulty: null,
+            state: 'new',
+            learning_step: 0,
+            lapses: 0,
+            is_leech: false,
+            buried_until: null,
+            next_review_date: new Date()
+        });
+    }
+    
+    // Vocabulary ids the user has suspended or buried until later
+    static async findInactiveVocabularyIds(userId) {
+        const { data, error } = await supabase
+            .from('user_vocabulary')
+            .select('vocabulary_id')
+            .eq('user_id', userId)
+            .or(`is_suspended.eq.true,buried_until.gt.${new Date().toISOString()}`);
+            
+        if (error) throw error;
+        return (data || []).map(row => row.vocabulary_id);
+    }
+    
+    // How many of the user's words are active, suspended, buried or leeches
+    static async getCardStateCounts(userId) {
+        const { data, error } = await supabase
+            .from('user_vocabulary')
+            .select('is_suspended, buried_until, is_leech')
+            .eq('user_id', userId);
+            
+        if (error) throw error;
+        
+        const now = new Date();
+        const counts = { active: 0, suspended: 0, buried: 0, leeches: 0 };
+        
+        (data || []).forEach(card => {
+            if (card.is_suspended) {
+                counts.suspended++;
+            } else if (card.buried_until && new Date(card.buried_until) > now) {
+                counts.buried++;
+            } else {
+                counts.active++;
+            }
+            if (card.is_leech) counts.leeches++;
+        });
+        
+        return counts;
+    }
+    
     static async logReview(reviewData) {
         const { data, error } = await supabase
             .from('review_history')
@@ -145,7 +145,12 @@ class User {
     static async updateSettings(userId, settingsData) {
         const allowedSettings = [
             'daily_goal', 'notification_email', 'notification_push', 
-            'timezone', 'language', 'theme'
+            'timezone', 'language', 'theme', 'scheduler',
+            'desired_retention', 'learning_steps', 'relearning_steps',
+            'leech_threshold', 'leech_action',
+            'new_cards_per_day', 'reviews_per_day', 'queue_order',
+            'load_balancing', 'reverse_cards', 'schedule_by_exercise',
+            'auto_grade'
         ];
         
         const updates = {};
@@ -177,7 +182,20 @@ class User {
             notification_push: true,
             timezone: 'Asia/Ho_Chi_Minh',
             language: 'vi',
-            theme: 'light'
+            theme: 'light',
+            scheduler: 'sm2',
+            desired_retention: 0.9,
+            learning_steps: [1, 10],
+            relearning_steps: [10],
+            leech_threshold: 8,
+            leech_action: 'tag',
+            new_cards_per_day: 20,
+            reviews_per_day: 200,
+            queue_order: 'due-first',
+            load_balancing: true,
+            reverse_cards: false,
+            schedule_by_exercise: false,
+            auto_grade: false
         };
     }
     
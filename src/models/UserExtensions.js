@@ -20,6 +20,19 @@ async function createDefaultSettings(userId) {
     timezone: 'Asia/Ho_Chi_Minh',
     language: 'vi',
     theme: 'light',
+    scheduler: 'sm2',
+    desired_retention: 0.9,
+    learning_steps: [1, 10],
+    relearning_steps: [10],
+    leech_threshold: 8,
+    leech_action: 'tag',
+    new_cards_per_day: 20,
+    reviews_per_day: 200,
+    queue_order: 'due-first',
+    load_balancing: true,
+    reverse_cards: false,
+    schedule_by_exercise: false,
+    auto_grade: false,
     created_at: new Date(),
     updated_at: new Date()
   };
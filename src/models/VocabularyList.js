@@ -98,6 +98,23 @@ class VocabularyList {
         if (error) throw error;
         return data;
     }
+    
+    // Private lists are only open to their owner
+    static canAccess(list, userId) {
+        return !!list && (list.privacy !== 'private' || list.owner_id === userId);
+    }
+    
+    // The list if the user may read it, otherwise null
+    static async findAccessible(id, userId) {
+        const { data, error } = await supabase
+            .from('vocabulary_lists')
+            .select('id, name, owner_id, privacy')
+            .eq('id', id)
+            .maybeSingle();
+            
+        if (error) throw error;
+        return this.canAccess(data, userId) ? data : null;
+    }
 }
 
 module.exports = VocabularyList;
\ No newline at end of file
@@ -3,8 +3,12 @@ const reviewController = require('../controllers/reviewController');
 const { authenticateJWT } = require('../middleware/auth');
 const rateLimiters = require('../middleware/protection/rateLimiter');
 const { reviewValidators } = require('../middleware/validation/validators');
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validation/validators');
+const { USAGE_EXERCISES } = require('../services/usageExercises');
+const { SESSION_MODES, SPEED_ROUND } = require('../services/reviewSessions');
+const { SPEED_ROUND_DURATIONS } = require('../services/speedRound');
+const { EXERCISE_MODES } = require('../services/exerciseBuilder');
 
 // Apply authentication to all routes
 router.use(authenticateJWT);
@@ -25,6 +29,19 @@ router.post('/submit',
   reviewController.submitReview
 );
 
+// Undo the most recent review
+router.post('/undo',
+  rateLimiters.review,
+  reviewController.undoLastReview
+);
+
+// Submit several review results at once (requires an Idempotency-Key header)
+router.post('/submit-batch',
+  rateLimiters.review,
+  reviewValidators.submitBatch,
+  reviewController.submitReviewBatch
+);
+
 // USC5: Flashcard session
 router.get('/flashcard',
     [
@@ -46,6 +63,60 @@ router.get('/fill-in-blank',
     reviewController.getFillInBlankSession
 );
 
+router.post('/fill-in-blank/:wordId/answer',
+    rateLimiters.review,
+    [
+        param('wordId').isUUID(),
+        body('answer').isString().isLength({ max: 200 }),
+        body('responseTime').optional().isInt({ min: 0, max: 300000 }),
+        handleValidationErrors
+    ],
+    reviewController.submitFillInBlankAnswer
+);
+
+// Spelling drill (type the word from its meaning and pronunciation)
+router.get('/spelling',
+    [
+        query('listId').optional().isUUID(),
+        query('limit').optional().isInt({ min: 1, max: 20 }),
+        handleValidationErrors
+    ],
+    reviewController.getSpellingSession
+);
+
+router.post('/spelling/:wordId/answer',
+    rateLimiters.review,
+    [
+        param('wordId').isUUID(),
+        body('answer').isString().isLength({ max: 200 }),
+        body('responseTime').optional().isInt({ min: 0, max: 300000 }),
+        handleValidationErrors
+    ],
+    reviewController.submitSpellingAnswer
+);
+
+// Sentence building (reorder the words of an example sentence)
+router.get('/sentence-building',
+    [
+        query('listId').optional().isUUID(),
+        query('limit').optional().isInt({ min: 1, max: 20 }),
+        handleValidationErrors
+    ],
+    reviewController.getSentenceBuildingSession
+);
+
+router.post('/sentence-building/:wordId/answer',
+    rateLimiters.review,
+    [
+        param('wordId').isUUID(),
+        body('tokens').isArray({ min: 1, max: 60 }),
+        body('tokens.*').isString().isLength({ max: 100 }),
+        body('responseTime').optional().isInt({ min: 0, max: 300000 }),
+        handleValidationErrors
+    ],
+    reviewController.submitSentenceBuildingAnswer
+);
+
 // USC7: Word association session
 router.get('/word-association',
     [
@@ -56,6 +127,141 @@ router.get('/word-association',
     reviewController.getWordAssociationSession
 );
 
+// Multiple-choice session (pick the word for a meaning)
+router.get('/multiple-choice',
+    [
+        query('listId').optional().isUUID(),
+        query('limit').optional().isInt({ min: 1, max: 20 }),
+        handleValidationErrors
+    ],
+    reviewController.getMultipleChoiceSession
+);
+
+// Smart session: the due queue, with the exercise type chosen per card
+router.get('/smart',
+    [
+        query('limit').optional().isInt({ min: 1, max: 50 }),
+        handleValidationErrors
+    ],
+    reviewController.getSmartSession
+);
+
+// Collocation and context-usage exercises
+router.get('/usage',
+    [
+        query('type').isIn(USAGE_EXERCISES),
+        query('listId').optional().isUUID(),
+        query('limit').optional().isInt({ min: 1, max: 20 }),
+        handleValidationErrors
+    ],
+    reviewController.getUsageSession
+);
+
+// Server-side review sessions (resumable across devices)
+router.post('/sessions',
+    [
+        body('mode').optional().isIn(SESSION_MODES),
+        body('listId').optional().isUUID(),
+        body('limit').optional().isInt({ min: 1, max: 50 }),
+        // Speed rounds need a round length in seconds
+        body('duration').if(body('mode').equals(SPEED_ROUND)).isIn(SPEED_ROUND_DURATIONS).toInt(),
+        handleValidationErrors
+    ],
+    reviewController.startSession
+);
+
+router.get('/sessions/active', reviewController.getActiveSession);
+
+router.get('/sessions/:sessionId',
+    [
+        param('sessionId').isUUID(),
+        handleValidationErrors
+    ],
+    reviewController.getSession
+);
+
+router.get('/sessions/:sessionId/next',
+    [
+        param('sessionId').isUUID(),
+        handleValidationErrors
+    ],
+    reviewController.getNextSessionCard
+);
+
+router.post('/sessions/:sessionId/answer',
+    rateLimiters.review,
+    [
+        param('sessionId').isUUID(),
+        body('vocabularyId').isUUID(),
+        // Typed answers (fill-in-blank, spelling) and reordered tokens
+        // (sentence-building) are graded server-side instead
+        body('performance')
+            .if(body('answer').not().exists())
+            .if(body('tokens').not().exists())
+            .if(body('optionId').not().exists())
+            .if(body('correct').not().exists())
+            .isInt({ min: 0, max: 3 }),
+        body('correct').optional().isBoolean().toBoolean(),
+        body('answer').optional().isString().isLength({ max: 200 }),
+        body('tokens').optional().isArray({ min: 1, max: 60 }),
+        body('tokens.*').optional().isString().isLength({ max: 100 }),
+        // Speed round cards are answered with the chosen option, which is
+        // graded on its own and cannot carry a self-rating
+        body('optionId').optional().isString().isLength({ max: 100 }),
+        body(['performance', 'correct']).if(body('optionId').exists()).not().exists()
+            .withMessage('performance and correct cannot be sent with optionId'),
+        body('responseTime').optional().isInt({ min: 0, max: 300000 }),
+        handleValidationErrors
+    ],
+    reviewController.submitSessionAnswer
+);
+
+router.post('/sessions/:sessionId/:action',
+    [
+        param('sessionId').isUUID(),
+        param('action').isIn(['pause', 'resume', 'finish']),
+        handleValidationErrors
+    ],
+    reviewController.updateSessionStatus
+);
+
+// Speed round personal bests (start a round with POST /sessions, mode speed-round)
+router.get('/speed-round/bests',
+    [
+        query('listId').optional().isUUID(),
+        handleValidationErrors
+    ],
+    reviewController.getSpeedRoundBests
+);
+
+// Offline review sync for mobile clients: download a batch of due cards,
+// then upload the reviews made offline
+router.get('/sync/batch',
+    [
+        query('limit').optional().isInt({ min: 1, max: 200 }),
+        handleValidationErrors
+    ],
+    reviewController.getSyncBatch
+);
+
+router.post('/sync',
+    rateLimiters.review,
+    [
+        body('token').isJWT(),
+        body('events').isArray({ min: 1, max: 500 }),
+        body('events.*.eventId').isUUID(),
+        body('events.*.vocabularyId').isUUID(),
+        body('events.*.reviewedAt').isISO8601(),
+        body('events.*.performance').optional().isInt({ min: 0, max: 3 }).toInt(),
+        body('events.*.correct').optional().isBoolean().toBoolean(),
+        body('events.*.responseTime').optional().isInt({ min: 0, max: 300000 }).toInt(),
+        body('events.*.direction').optional().isIn(['forward', 'reverse']),
+        body('events.*.exerciseType').optional().isIn(EXERCISE_MODES),
+        handleValidationErrors
+    ],
+    reviewController.syncReviews
+);
+
 // USC13: Learning statistics
 router.get('/stats',
     [
@@ -65,6 +271,15 @@ router.get('/stats',
     reviewController.getLearningStats
 );
 
+// Review load forecast
+router.get('/forecast',
+    [
+        query('days').optional().isInt({ min: 1, max: 365 }),
+        handleValidationErrors
+    ],
+    reviewController.getReviewForecast
+);
+
 // Daily goal
 router.post('/daily-goal',
     [
@@ -77,4 +292,74 @@ router.post('/daily-goal',
 // Streak info
 router.get('/streak', reviewController.getStreakInfo);
 
+// Vacation mode: absence windows freeze the streak
+router.get('/vacation', reviewController.getAbsences);
+
+router.post('/vacation',
+    [
+        body('startDate').isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+        body('endDate').isDate({ format: 'YYYY-MM-DD', strictMode: true })
+            .custom((endDate, { req }) => endDate >= req.body.startDate)
+            .withMessage('endDate must not be before startDate'),
+        body('reason').optional().isString().trim().isLength({ max: 255 }),
+        handleValidationErrors
+    ],
+    reviewController.createAbsence
+);
+
+router.delete('/vacation/:absenceId',
+    [
+        param('absenceId').isUUID(),
+        handleValidationErrors
+    ],
+    reviewController.deleteAbsence
+);
+
+// Spread the overdue backlog over several days (preview, then apply)
+router.get('/vacation/catch-up',
+    [
+        query('days').optional().isInt({ min: 1, max: 30 }),
+        handleValidationErrors
+    ],
+    reviewController.previewCatchUp
+);
+
+router.post('/vacation/catch-up',
+    [
+        body('days').optional().isInt({ min: 1, max: 30 }),
+        handleValidationErrors
+    ],
+    reviewController.applyCatchUp
+);
+
+// Personalized scheduler parameters
+router.get('/scheduler/optimize', reviewController.getSchedulerParameters);
+
+router.post('/scheduler/optimize',
+    rateLimiters.review,
+    reviewController.optimizeScheduler
+);
+
+// Card states: suspend, unsuspend, bury until tomorrow, reset scheduling
+router.post('/cards/:wordId/:action',
+    [
+        param('wordId').isUUID(),
+        param('action').isIn(['suspend', 'unsuspend', 'bury', 'reset']),
+        handleValidationErrors
+    ],
+    reviewController.updateCardState
+);
+
+// Leeches - words the user keeps failing
+router.get('/leeches', reviewController.getLeeches);
+
+router.post('/leeches/:vocabularyId/mnemonic',
+    rateLimiters.review,
+    [
+        param('vocabularyId').isUUID(),
+        handleValidationErrors
+    ],
+    reviewController.getLeechMnemonic
+);
+
 module.exports = router;
\ No newline at end of file
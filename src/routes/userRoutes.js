@@ -3,6 +3,8 @@ const userController = require('../controllers/userController');
 const { authenticateJWT } = require('../middleware/auth');
 const { body } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validation/validators');
+const { SCHEDULER_NAMES } = require('../services/schedulers');
+const { QUEUE_ORDERS } = require('../services/reviewQueue');
 
 // Public routes
 router.get('/check-email/:email', userController.checkEmailAvailability);
@@ -33,6 +35,22 @@ router.put('/settings',
         body('timezone').optional().isIn(['Asia/Ho_Chi_Minh', 'UTC']),
         body('language').optional().isIn(['vi', 'en']),
         body('theme').optional().isIn(['light', 'dark', 'auto']),
+        body('scheduler').optional().isIn(SCHEDULER_NAMES),
+        body('desiredRetention').optional().isFloat({ min: 0.8, max: 0.97 }).toFloat(),
+        // Learning / relearning steps in minutes, e.g. [1, 10, 60]
+        body('learningSteps').optional().isArray({ max: 10 }),
+        body('learningSteps.*').isInt({ min: 1, max: 1440 }).toInt(),
+        body('relearningSteps').optional().isArray({ max: 10 }),
+        body('relearningSteps.*').isInt({ min: 1, max: 1440 }).toInt(),
+        body('leechThreshold').optional().isInt({ min: 2, max: 50 }).toInt(),
+        body('leechAction').optional().isIn(['tag', 'suspend']),
+        body('newCardsPerDay').optional().isInt({ min: 0, max: 500 }).toInt(),
+        body('reviewsPerDay').optional().isInt({ min: 0, max: 9999 }).toInt(),
+        body('queueOrder').optional().isIn(QUEUE_ORDERS),
+        body('loadBalancing').optional().isBoolean().toBoolean(),
+        body('reverseCards').optional().isBoolean().toBoolean(),
+        body('scheduleByExercise').optional().isBoolean().toBoolean(),
+        body('autoGrade').optional().isBoolean().toBoolean(),
         handleValidationErrors
     ],
     userController.updateSettings
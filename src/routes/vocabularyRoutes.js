@@ -2,6 +2,8 @@ const router = require('express').Router();
 const vocabularyController = require('../controllers/vocabularyController');
 const { authenticateJWT, optionalAuth } = require('../middleware/auth');
 const { vocabularyValidators } = require('../middleware/validation/validators');
+const { fileUpload, packageUpload } = require('../middleware/core/parsing');
+const rateLimiters = require('../middleware/protection/rateLimiter');
 
 // Public routes (optional auth for personalized data)
 router.get('/', optionalAuth, vocabularyController.getLists);
@@ -15,4 +17,24 @@ router.put('/:id', vocabularyController.updateList);
 router.delete('/:id', vocabularyController.deleteList);
 router.post('/:listId/words', vocabularyController.addWord);
 
+// Import words from a CSV / TSV file (multipart field "file"); "mapping" is a
+// JSON object of column -> header name or index, e.g. {"term":"Word","definition":2}
+router.post('/:listId/import',
+    rateLimiters.upload,
+    fileUpload.single('file'),
+    vocabularyValidators.importWords,
+    vocabularyController.importWords
+);
+
+// Anki decks: import an .apkg (multipart field "file") as a new list with the
+// cards' scheduling history, or export a list and the user's progress
+router.post('/import/anki',
+    rateLimiters.upload,
+    packageUpload.single('file'),
+    vocabularyValidators.importAnki,
+    vocabularyController.importAnki
+);
+
+router.get('/:id/export/anki', vocabularyValidators.exportAnki, vocabularyController.exportAnki);
+
 module.exports = router;
\ No newline at end of file
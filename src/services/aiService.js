@@ -42,6 +42,61 @@ class AIService {
     }
   }
 
+  // Gợi ý cách ghi nhớ cho từ người học hay quên (leech)
+  async generateMnemonic(word, meaning) {
+    const fallback = `Hãy liên tưởng "${word}" với "${meaning}" qua một hình ảnh hoặc câu chuyện ngắn của riêng bạn, rồi tự đặt một câu ví dụ có dùng từ này.`;
+
+    if (!this.model) {
+      return fallback;
+    }
+
+    try {
+      const prompt = `
+        Người học tiếng Việt liên tục quên từ tiếng Anh "${word}" (nghĩa: ${meaning}).
+        Hãy tạo một mẹo ghi nhớ (mnemonic) ngắn gọn, dễ nhớ bằng tiếng Việt, tối đa 3 câu.
+      `;
+      const result = await this.model.generateContent(prompt);
+      const response = await result.response;
+      return response.text().trim();
+    } catch (error) {
+      console.error('AI mnemonic generation error:', error);
+      return fallback;
+    }
+  }
+
+  // Tạo bài tập cách dùng từ: chọn kết hợp từ đúng (collocation) hoặc
+  // chọn câu dùng từ đúng ngữ cảnh (context-usage). Trả về null khi không có
+  // model hoặc kết quả không hợp lệ, để nơi gọi dùng bộ sinh theo quy tắc.
+  async generateUsageExercise(word, meaning, type) {
+    if (!this.model) {
+      return null;
+    }
+
+    const instructions = type === 'collocation'
+      ? `Write one English sentence using "${word}" together with a common collocate, replace the collocate with "_____",
+        and give 4 single-word options where exactly one forms the correct collocation.
+        JSON: {"prompt": "sentence with _____", "options": ["4 words"], "correctIndex": 0}`
+      : `Write 4 short English sentences containing "${word}": exactly one uses it correctly,
+        the other three misuse its meaning or grammar in ways a learner might.
+        JSON: {"options": ["4 sentences"], "correctIndex": 0}`;
+
+    try {
+      const prompt = `
+        Tạo bài tập cho người học tiếng Việt với từ tiếng Anh "${word}" (nghĩa: ${meaning}).
+        ${instructions}
+        Chỉ trả về JSON.
+      `;
+      const result = await this.model.generateContent(prompt);
+      const response = await result.response;
+      const jsonMatch = response.text().match(/\{[\s\S]*\}/);
+
+      return jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+    } catch (error) {
+      console.error('AI usage exercise generation error:', error);
+      return null;
+    }
+  }
+
   // Tạo định nghĩa và ví dụ cho từ vựng mới
   async generateVocabularyDefinition(word, context = '') {
     try {
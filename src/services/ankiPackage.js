@@ -0,0 +1,683 @@
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const initSqlJs = require('sql.js');
+const supabase = require('../config/database');
+const VocabularyItem = require('../models/VocabularyItem');
+const spacedRepetition = require('./spacedRepetition');
+const reviewService = require('./reviewService');
+const cacheService = require('./CacheService');
+const { DAY_MS } = require('../utils/dateHelper');
+
+const { CARD_STATES, CARD_DIRECTIONS } = spacedRepetition;
+
+// Legacy collection formats (schema 11). Newer Anki versions also write
+// collection.anki21b, which is zstd-compressed and not read here.
+const COLLECTION_FILES = ['collection.anki21', 'collection.anki2'];
+// Same as the .apkg upload limit; the collection is parsed in memory
+const MAX_COLLECTION_BYTES = 50 * 1024 * 1024;
+const INSERT_CHUNK = 500;
+const QUERY_CHUNK = 200;
+const FIELD_SEPARATOR = '\x1f';
+const ANKI_TYPES = { NEW: 0, LEARNING: 1, REVIEW: 2, RELEARNING: 3 };
+const ANKI_QUEUES = { SUSPENDED: -1, NEW: 0, LEARNING: 1, REVIEW: 2, DAY_LEARNING: 3 };
+const STATE_TYPES = {
+    [CARD_STATES.NEW]: ANKI_TYPES.NEW,
+    [CARD_STATES.LEARNING]: ANKI_TYPES.LEARNING,
+    [CARD_STATES.REVIEW]: ANKI_TYPES.REVIEW,
+    [CARD_STATES.RELEARNING]: ANKI_TYPES.RELEARNING
+};
+// revlog.type of a review, by the state the card was in
+const REVLOG_TYPES = { new: 0, learning: 0, review: 1, relearning: 2 };
+// Note fields read on import, by name (case-insensitive); without a match
+// the first two fields are the term and the definition
+const FIELD_NAMES = {
+    word: ['word', 'term', 'front', 'expression', 'vocabulary'],
+    meaning: ['meaning', 'definition', 'back', 'translation'],
+    pronunciation: ['pronunciation', 'phonetics', 'ipa', 'reading'],
+    example_sentence: ['example', 'example sentence', 'sentence'],
+    image_url: ['image', 'picture'],
+    audio_url: ['audio', 'sound']
+};
+// Note type written on export; the reverse card exists when "Add Reverse"
+// is filled in, as in Anki's "Basic (optional reversed card)"
+const EXPORT_FIELDS = ['Word', 'Meaning', 'Pronunciation', 'Example', 'Image', 'Audio', 'Add Reverse'];
+// vocabulary_items column limits: longer words are skipped, longer
+// pronunciations cut
+const MAX_WORD_LENGTH = 100;
+const MAX_PRONUNCIATION_LENGTH = 200;
+
+const SCHEMA = `
+    CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+    CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+    CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+    CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+    CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+    CREATE INDEX ix_notes_usn ON notes (usn);
+    CREATE INDEX ix_cards_usn ON cards (usn);
+    CREATE INDEX ix_revlog_usn ON revlog (usn);
+    CREATE INDEX ix_cards_nid ON cards (nid);
+    CREATE INDEX ix_cards_sched ON cards (did, queue, due);
+    CREATE INDEX ix_revlog_cid ON revlog (cid);
+    CREATE INDEX ix_notes_csum ON notes (csum);
+`;
+
+let sqlJs = null;
+
+// Anki .apkg packages: a zip holding the collection as an SQLite database
+// (read and written with sql.js, so nothing leaves the server). Imports
+// create a new list for the importing user, with each card's scheduling
+// state and review log mapped onto user_vocabulary and review_history.
+// Exports write a list and the user's progress on it as a new deck.
+// Media files are not stored by this app: only http(s) image and audio
+// links are kept.
+class AnkiPackageService {
+    async importPackage(userId, buffer, { name } = {}) {
+        const collection = await this.readPackage(buffer);
+        if (collection.error) return collection;
+
+        const config = await spacedRepetition.getSchedulingConfig(userId);
+        const deck = this.toDeck(collection, config);
+        if (deck.notes.length === 0) {
+            return { error: 'The package has no notes that can be imported' };
+        }
+
+        const { data: list, error: listError } = await supabase
+            .from('vocabulary_lists')
+            .insert({
+                name: name || deck.name,
+                description: 'Imported from Anki',
+                owner_id: userId,
+                privacy: 'private',
+                tags: ['anki']
+            })
+            .select()
+            .single();
+
+        if (listError) throw listError;
+
+        let items = [];
+        const progress = [];
+        const history = [];
+        try {
+            for (const chunk of this.chunk(deck.notes, INSERT_CHUNK)) {
+                items = items.concat(await VocabularyItem.createBulk(chunk.map(note => ({ list_id: list.id, ...note.item }))));
+            }
+
+            // createBulk returns the rows in insertion order
+            deck.notes.forEach((note, i) => {
+                note.cards.forEach(card => {
+                    if (card.progress) progress.push({ user_id: userId, vocabulary_id: items[i].id, ...card.progress });
+                    card.history.forEach(row => history.push({ user_id: userId, vocabulary_id: items[i].id, ...row }));
+                });
+            });
+
+            await this.insertChunks('user_vocabulary', progress);
+            await this.insertChunks('review_history', history);
+        } catch (error) {
+            await this.removeImport(userId, list.id, items.map(item => item.id));
+            throw error;
+        }
+
+        await reviewService.updateUserStats(userId);
+        await cacheService.del(`review_queue:${userId}`);
+
+        return {
+            list,
+            imported: items.length,
+            scheduledCards: progress.length,
+            reviews: history.length,
+            skippedNotes: deck.skipped,
+            skippedMedia: deck.skippedMedia
+        };
+    }
+
+    async exportList(userId, list, now = new Date()) {
+        const items = await VocabularyItem.findByListId(list.id);
+        const ids = items.map(item => item.id);
+
+        const [progress, history] = await Promise.all([
+            this.selectForWords('user_vocabulary', '*', userId, ids),
+            this.selectForWords('review_history', 'vocabulary_id, direction, exercise_type, quality, response_time, previous_interval, new_interval, new_easiness, previous_state, reviewed_at', userId, ids)
+        ]);
+
+        return this.writePackage(this.toCollection(list, items, progress, history, now));
+    }
+
+    async readPackage(buffer) {
+        let zip;
+        try {
+            zip = new AdmZip(buffer);
+        } catch (error) {
+            return { error: 'Not a valid .apkg file' };
+        }
+
+        const entry = COLLECTION_FILES.map(file => zip.getEntry(file)).find(Boolean);
+        if (!entry) {
+            return {
+                error: zip.getEntry('collection.anki21b')
+                    ? 'This package uses the latest Anki format; export it again with "Support older Anki versions" checked'
+                    : 'Not a valid .apkg file'
+            };
+        }
+        if (entry.header.size > MAX_COLLECTION_BYTES) {
+            return { error: 'The collection is too large' };
+        }
+
+        const SQL = await this.loadSql();
+        let db;
+        try {
+            db = new SQL.Database(entry.getData());
+            return this.readCollection(db);
+        } catch (error) {
+            return { error: 'Not a valid .apkg file' };
+        } finally {
+            if (db) db.close();
+        }
+    }
+
+    readCollection(db) {
+        const rows = (sql) => {
+            const [result] = db.exec(sql);
+            if (!result) return [];
+            return result.values.map(values => Object.fromEntries(result.columns.map((column, i) => [column, values[i]])));
+        };
+
+        const [col] = rows('SELECT crt, models, decks FROM col');
+
+        return {
+            crt: col.crt,
+            models: JSON.parse(col.models),
+            decks: JSON.parse(col.decks),
+            notes: rows('SELECT id, mid, tags, flds FROM notes ORDER BY id'),
+            cards: rows('SELECT id, nid, did, ord, type, queue, due, ivl, factor, reps, lapses FROM cards ORDER BY id'),
+            revlog: rows('SELECT id, cid, ease, ivl, lastIvl, factor, time, type FROM revlog ORDER BY id')
+        };
+    }
+
+    // Notes as vocabulary items, each with its cards' scheduling state and
+    // review log. Only the first two card templates are kept: forward, and
+    // reverse when the user has reverse cards on.
+    toDeck(collection, config, now = new Date()) {
+        const cardsByNote = this.groupBy(collection.cards, 'nid');
+        const revlogByCard = this.groupBy(collection.revlog, 'cid');
+        const notes = [];
+        let skipped = 0;
+        let skippedMedia = 0;
+
+        for (const note of collection.notes) {
+            const model = collection.models[note.mid];
+            const fieldNames = model ? [...model.flds].sort((a, b) => a.ord - b.ord).map(field => field.name) : [];
+            const tags = note.tags.trim().split(/\s+/).filter(Boolean);
+            const { item, localMedia } = this.toItem(fieldNames, note.flds.split(FIELD_SEPARATOR), tags);
+
+            if (localMedia) skippedMedia++;
+            if (!item.word || !item.meaning || item.word.length > MAX_WORD_LENGTH) {
+                skipped++;
+                continue;
+            }
+
+            const isLeech = tags.some(tag => tag.toLowerCase() === 'leech');
+            const cards = [];
+            for (const card of cardsByNote.get(note.id) || []) {
+                const mapped = this.toCard(card, revlogByCard.get(card.id) || [], { crt: collection.crt, config, isLeech, now });
+                if (mapped && !cards.some(existing => existing.direction === mapped.direction)) {
+                    cards.push(mapped);
+                }
+            }
+
+            notes.push({ noteId: note.id, item, cards });
+        }
+
+        return { name: this.deckName(collection), notes, skipped, skippedMedia };
+    }
+
+    toItem(fieldNames, values, tags) {
+        const names = fieldNames.map(name => name.trim().toLowerCase());
+        const used = new Set();
+        const raw = {};
+
+        Object.entries(FIELD_NAMES).forEach(([column, aliases]) => {
+            const index = names.findIndex(name => aliases.includes(name));
+            if (index !== -1) {
+                raw[column] = values[index];
+                used.add(index);
+            }
+        });
+
+        // Unrecognized note types: the first unused fields are term and definition
+        const unused = values.map((_, i) => i).filter(i => !used.has(i));
+        if (raw.word === undefined) raw.word = values[unused.shift()];
+        if (raw.meaning === undefined) raw.meaning = values[unused.shift()];
+
+        const image = this.mediaSource(raw.image_url, /<img[^>]+src=["']?([^"' >]+)/i);
+        const audio = this.mediaSource(raw.audio_url, /\[sound:([^\]]+)\]/i);
+
+        return {
+            item: {
+                word: this.toText(raw.word),
+                meaning: this.toText(raw.meaning),
+                pronunciation: this.toText(raw.pronunciation).slice(0, MAX_PRONUNCIATION_LENGTH).trim() || null,
+                example_sentence: this.toText(raw.example_sentence) || null,
+                image_url: image.url,
+                audio_url: audio.url,
+                tags: tags.filter(tag => tag.toLowerCase() !== 'leech')
+            },
+            localMedia: image.local || audio.local
+        };
+    }
+
+    // A media field's http(s) link; files bundled in the package are skipped
+    mediaSource(value, pattern) {
+        if (!value) return { url: null, local: false };
+
+        const source = (String(value).match(pattern)?.[1] || this.toText(value)).trim();
+        if (!source) return { url: null, local: false };
+
+        return /^https?:\/\//i.test(source) ? { url: source, local: false } : { url: null, local: true };
+    }
+
+    toCard(card, revlog, { crt, config, isLeech = false, now = new Date() }) {
+        const direction = card.ord === 0
+            ? CARD_DIRECTIONS.FORWARD
+            : (card.ord === 1 && config.reverseCards ? CARD_DIRECTIONS.REVERSE : null);
+        if (!direction) return null;
+
+        const cardKey = spacedRepetition.cardKey(config, direction);
+        // Ease 0 marks manual reschedules, not answers
+        const reviews = revlog.filter(entry => entry.ease > 0);
+        const history = reviews.map(entry => ({
+            ...cardKey,
+            quality: entry.ease - 1,
+            raw_quality: entry.ease - 1,
+            grading_mode: 'self',
+            response_time: entry.time || null,
+            is_correct: entry.ease > 1,
+            previous_interval: Math.max(entry.lastIvl, 0),
+            new_interval: Math.max(entry.ivl, 0),
+            new_easiness: entry.factor ? entry.factor / 1000 : null,
+            reviewed_at: new Date(entry.id),
+            // Logged in the past, so undo never picks these before the
+            // user's own reviews
+            created_at: new Date(entry.id)
+        }));
+
+        // New cards have no user_vocabulary row until first reviewed
+        if (card.type === ANKI_TYPES.NEW) {
+            return { direction, progress: null, history };
+        }
+
+        const state = Object.keys(STATE_TYPES).find(key => STATE_TYPES[key] === card.type) || CARD_STATES.REVIEW;
+
+        return {
+            direction,
+            progress: {
+                ...cardKey,
+                state,
+                learning_step: 0,
+                interval: Math.max(card.ivl, 0),
+                easiness_factor: card.factor ? Math.max(card.factor / 1000, 1.3) : 2.5,
+                repetitions: this.successStreak(reviews),
+                lapses: card.lapses,
+                next_review_date: this.dueDate(card, crt, now),
+                last_review_date: history.length > 0 ? history[history.length - 1].reviewed_at : null,
+                // Learned in Anki, so it does not take up today's new cards
+                first_learned_at: new Date(revlog.length > 0 ? revlog[0].id : card.id),
+                total_reviews: history.length || card.reps,
+                correct_reviews: history.filter(row => row.is_correct).length,
+                is_leech: isLeech,
+                is_suspended: card.queue === ANKI_QUEUES.SUSPENDED
+            },
+            history
+        };
+    }
+
+    // Learning cards are due at a timestamp (seconds), others on a day
+    // counted from the collection's creation
+    dueDate(card, crt, now = new Date()) {
+        if (card.due > 1000000000) return new Date(card.due * 1000);
+        if (card.type === ANKI_TYPES.REVIEW || card.type === ANKI_TYPES.RELEARNING || card.queue === ANKI_QUEUES.DAY_LEARNING) {
+            return new Date((crt + card.due * 86400) * 1000);
+        }
+        return now;
+    }
+
+    // Passing answers since the last failed one (SM-2 repetitions)
+    successStreak(reviews) {
+        let streak = 0;
+        for (let i = reviews.length - 1; i >= 0 && reviews[i].ease > 1; i--) streak++;
+        return streak;
+    }
+
+    // The deck most cards are in
+    deckName(collection) {
+        const counts = new Map();
+        collection.cards.forEach(card => counts.set(card.did, (counts.get(card.did) || 0) + 1));
+
+        const [did] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+        const deck = did !== undefined ? collection.decks[did] : null;
+
+        return deck?.name ? deck.name.split('::').join(' / ') : 'Anki import';
+    }
+
+    toText(html) {
+        return String(html || '')
+            .replace(/\[sound:[^\]]*\]/gi, '')
+            .replace(/<br\s*\/?>|<\/div>|<\/p>/gi, '\n')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&')
+            .replace(/[ \t]+/g, ' ')
+            .replace(/\s*\n\s*/g, '\n')
+            .trim();
+    }
+
+    // The list as an Anki collection: one note per word, a card per
+    // direction the user has (forward always), and their review log
+    toCollection(list, items, progress, history, now = new Date()) {
+        const nowSeconds = Math.floor(now.getTime() / 1000);
+        const crt = Math.floor(now.getTime() / DAY_MS) * DAY_MS / 1000;
+        let nextId = now.getTime();
+        const newId = () => nextId++;
+
+        const deckId = newId();
+        const modelId = newId();
+        const progressByWord = this.groupBy(progress, 'vocabulary_id');
+        const historyByWord = this.groupBy(history, 'vocabulary_id');
+        const revlogIds = new Set();
+
+        const notes = [];
+        const cards = [];
+        const revlog = [];
+
+        items.forEach((item, position) => {
+            const rows = progressByWord.get(item.id) || [];
+            const directions = [CARD_DIRECTIONS.FORWARD, CARD_DIRECTIONS.REVERSE]
+                .map(direction => ({ direction, row: this.primaryCard(rows, direction) }))
+                .filter(({ direction, row }) => direction === CARD_DIRECTIONS.FORWARD || row);
+
+            const note = {
+                id: newId(),
+                guid: this.guid(item.id),
+                mid: modelId,
+                mod: nowSeconds,
+                usn: -1,
+                tags: item.tags?.length ? ` ${item.tags.join(' ')} ` : '',
+                flds: [
+                    this.escapeHtml(item.word),
+                    this.escapeHtml(item.meaning),
+                    this.escapeHtml(item.pronunciation),
+                    this.escapeHtml(item.example_sentence),
+                    item.image_url ? `<img src="${this.escapeHtml(item.image_url)}">` : '',
+                    this.escapeHtml(item.audio_url),
+                    directions.length > 1 ? 'y' : ''
+                ].join(FIELD_SEPARATOR),
+                sfld: item.word,
+                csum: this.checksum(item.word),
+                flags: 0,
+                data: ''
+            };
+            notes.push(note);
+
+            directions.forEach(({ direction, row }, ord) => {
+                const card = this.toAnkiCard(row, { id: newId(), nid: note.id, did: deckId, ord, crt, position, mod: nowSeconds });
+                cards.push(card);
+
+                (historyByWord.get(item.id) || [])
+                    .filter(review => (review.direction || CARD_DIRECTIONS.FORWARD) === direction &&
+                        (!row || review.exercise_type === row.exercise_type))
+                    .forEach(review => {
+                        let id = new Date(review.reviewed_at).getTime();
+                        while (revlogIds.has(id)) id++;
+                        revlogIds.add(id);
+
+                        revlog.push({
+                            id,
+                            cid: card.id,
+                            usn: -1,
+                            ease: review.quality + 1,
+                            ivl: review.new_interval || 0,
+                            lastIvl: review.previous_interval || 0,
+                            factor: review.new_easiness ? Math.round(review.new_easiness * 1000) : 0,
+                            time: Math.min(review.response_time || 0, 60000),
+                            type: review.previous_state
+                                ? REVLOG_TYPES[review.previous_state.state] ?? 1
+                                : (review.previous_interval > 0 ? 1 : 0)
+                        });
+                    });
+            });
+        });
+
+        return {
+            col: this.collectionRow({ list, crt, now, deckId, modelId, nextPosition: items.length }),
+            notes,
+            cards,
+            revlog
+        };
+    }
+
+    // A word can have one card per exercise type; the shared card (or the
+    // most reviewed one) stands for the direction
+    primaryCard(rows, direction) {
+        const cards = rows.filter(row => (row.direction || CARD_DIRECTIONS.FORWARD) === direction);
+        return cards.find(row => row.exercise_type === 'any') ||
+            cards.sort((a, b) => (b.total_reviews || 0) - (a.total_reviews || 0))[0] ||
+            null;
+    }
+
+    toAnkiCard(row, { id, nid, did, ord, crt, position, mod }) {
+        const card = {
+            id, nid, did, ord, mod,
+            usn: -1,
+            type: ANKI_TYPES.NEW,
+            queue: ANKI_QUEUES.NEW,
+            due: position,
+            ivl: 0,
+            factor: 0,
+            reps: 0,
+            lapses: 0,
+            left: 0,
+            odue: 0,
+            odid: 0,
+            flags: 0,
+            data: ''
+        };
+
+        const state = row ? spacedRepetition.toCardState(row).state : CARD_STATES.NEW;
+        if (state === CARD_STATES.NEW) return card;
+
+        const next = new Date(row.next_review_date || Date.now()).getTime() / 1000;
+        const learning = state === CARD_STATES.LEARNING || state === CARD_STATES.RELEARNING;
+
+        return {
+            ...card,
+            type: STATE_TYPES[state],
+            queue: row.is_suspended ? ANKI_QUEUES.SUSPENDED : (learning ? ANKI_QUEUES.LEARNING : ANKI_QUEUES.REVIEW),
+            due: learning ? Math.floor(next) : Math.floor((next - crt) / 86400),
+            ivl: state === CARD_STATES.LEARNING ? 0 : Math.max(row.interval || 1, 1),
+            factor: Math.round((row.easiness_factor || 2.5) * 1000),
+            reps: row.total_reviews || 0,
+            lapses: row.lapses || 0,
+            // One learning step left
+            left: learning ? 1001 : 0
+        };
+    }
+
+    collectionRow({ list, crt, now, deckId, modelId, nextPosition }) {
+        const mod = Math.floor(now.getTime() / 1000);
+
+        const deck = (id, name) => ({
+            id, name, mod, usn: -1, conf: 1, desc: '', dyn: 0, collapsed: false,
+            newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0],
+            extendNew: 10, extendRev: 50
+        });
+
+        const model = {
+            id: modelId,
+            name: 'Vocabulary (optional reversed card)',
+            type: 0,
+            mod,
+            usn: -1,
+            sortf: 0,
+            did: deckId,
+            flds: EXPORT_FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+            tmpls: [
+                {
+                    name: 'Recognition', ord: 0, did: null, bqfmt: '', bafmt: '',
+                    qfmt: '{{Word}}<br>{{Pronunciation}}',
+                    afmt: '{{FrontSide}}<hr id=answer>{{Meaning}}<br>{{Image}}<br><i>{{Example}}</i>'
+                },
+                {
+                    name: 'Recall', ord: 1, did: null, bqfmt: '', bafmt: '',
+                    qfmt: '{{#Add Reverse}}{{Meaning}}{{/Add Reverse}}',
+                    afmt: '{{FrontSide}}<hr id=answer>{{Word}}<br>{{Pronunciation}}'
+                }
+            ],
+            css: '.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }',
+            latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+            latexPost: '\\end{document}',
+            tags: [],
+            vers: [],
+            req: [[0, 'any', [0]], [1, 'all', [1, 6]]]
+        };
+
+        const deckConfig = {
+            id: 1, name: 'Default', mod, usn: -1, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+            new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+            lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+            rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, minSpace: 1, ivlFct: 1, maxIvl: 36500, bury: true }
+        };
+
+        return {
+            id: 1,
+            crt,
+            mod: now.getTime(),
+            scm: now.getTime(),
+            ver: 11,
+            dty: 0,
+            usn: 0,
+            ls: 0,
+            conf: JSON.stringify({
+                nextPos: nextPosition, estTimes: true, activeDecks: [deckId], sortType: 'noteFld', timeLim: 0,
+                sortBackwards: false, addToCur: true, curDeck: deckId, newSpread: 0, dueCounts: true,
+                curModel: String(modelId), collapseTime: 1200
+            }),
+            models: JSON.stringify({ [modelId]: model }),
+            decks: JSON.stringify({ 1: deck(1, 'Default'), [deckId]: deck(deckId, list.name) }),
+            dconf: JSON.stringify({ 1: deckConfig }),
+            tags: '{}'
+        };
+    }
+
+    async writePackage({ col, notes, cards, revlog }) {
+        const SQL = await this.loadSql();
+        const db = new SQL.Database();
+        let data;
+
+        try {
+            db.exec(SCHEMA);
+            this.insertRows(db, 'col', [col]);
+            this.insertRows(db, 'notes', notes);
+            this.insertRows(db, 'cards', cards);
+            this.insertRows(db, 'revlog', revlog);
+            data = Buffer.from(db.export());
+        } finally {
+            db.close();
+        }
+
+        const zip = new AdmZip();
+        zip.addFile('collection.anki2', data);
+        zip.addFile('media', Buffer.from('{}'));
+        return zip.toBuffer();
+    }
+
+    insertRows(db, table, rows) {
+        if (rows.length === 0) return;
+
+        const columns = Object.keys(rows[0]);
+        const statement = db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`);
+        try {
+            rows.forEach(row => statement.run(columns.map(column => row[column])));
+        } finally {
+            statement.free();
+        }
+    }
+
+    escapeHtml(text) {
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\n/g, '<br>');
+    }
+
+    // Stable per word, so exporting the same list again updates the notes
+    // already in Anki instead of duplicating them
+    guid(id) {
+        return crypto.createHash('sha1').update(String(id)).digest('base64').slice(0, 10);
+    }
+
+    // Anki's duplicate check: the first 8 hex digits of the sort field's SHA-1
+    checksum(text) {
+        return parseInt(crypto.createHash('sha1').update(this.toText(text)).digest('hex').slice(0, 8), 16);
+    }
+
+    loadSql() {
+        sqlJs = sqlJs || initSqlJs();
+        return sqlJs;
+    }
+
+    async selectForWords(table, columns, userId, ids) {
+        let rows = [];
+        for (const chunk of this.chunk(ids, QUERY_CHUNK)) {
+            const { data, error } = await supabase
+                .from(table)
+                .select(columns)
+                .eq('user_id', userId)
+                .in('vocabulary_id', chunk);
+
+            if (error) throw error;
+            rows = rows.concat(data || []);
+        }
+        return rows;
+    }
+
+    async insertChunks(table, rows) {
+        for (const chunk of this.chunk(rows, INSERT_CHUNK)) {
+            const { error } = await supabase.from(table).insert(chunk);
+            if (error) throw error;
+        }
+    }
+
+    // Undo a partly written import
+    async removeImport(userId, listId, vocabularyIds) {
+        for (const chunk of this.chunk(vocabularyIds, QUERY_CHUNK)) {
+            await supabase.from('review_history').delete().eq('user_id', userId).in('vocabulary_id', chunk);
+            await supabase.from('user_vocabulary').delete().eq('user_id', userId).in('vocabulary_id', chunk);
+        }
+
+        const { error } = await supabase.from('vocabulary_lists').delete().eq('id', listId);
+        if (error) console.error('Remove Anki import error:', error);
+    }
+
+    groupBy(rows, key) {
+        const groups = new Map();
+        rows.forEach(row => {
+            if (!groups.has(row[key])) groups.set(row[key], []);
+            groups.get(row[key]).push(row);
+        });
+        return groups;
+    }
+
+    chunk(items, size) {
+        const chunks = [];
+        for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+        return chunks;
+    }
+}
+
+module.exports = new AnkiPackageService();
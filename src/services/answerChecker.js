@@ -0,0 +1,174 @@
+// Grades typed answers against the expected word. Answers are compared after
+// folding case, diacritics and punctuation; common English inflections of the
+// word are accepted, and small typos are tolerated but graded down.
+const MATCH_QUALITY = {
+    exact: 2,      // Good
+    inflection: 2, // Good
+    typo: 1,       // Hard
+    wrong: 0       // Again
+};
+
+const VOWELS = 'aeiou';
+
+class AnswerChecker {
+    // `inflections: false` requires the exact term (spelling drills)
+    check(answer, expected, alternatives = [], { inflections = true } = {}) {
+        const given = this.normalize(answer);
+        const targets = [...new Set([expected, ...alternatives].map(text => this.normalize(text)).filter(Boolean))];
+
+        let match = 'wrong';
+        let distance = null;
+
+        if (given && targets.includes(given)) {
+            match = 'exact';
+            distance = 0;
+        } else if (given && inflections && targets.some(target => this.inflections(target).has(given))) {
+            match = 'inflection';
+            distance = 0;
+        } else if (given) {
+            distance = Math.min(...targets.map(target => this.levenshtein(given, target)));
+            if (distance <= this.tolerance(targets[0])) {
+                match = 'typo';
+            }
+        }
+
+        return {
+            correct: match !== 'wrong',
+            match,
+            distance,
+            quality: MATCH_QUALITY[match]
+        };
+    }
+
+    // Spelling drills want the exact term and show where the answer went wrong
+    checkSpelling(answer, expected) {
+        return {
+            ...this.check(answer, expected, [], { inflections: false }),
+            diff: this.diff(answer, expected)
+        };
+    }
+
+    // Lowercase, strip diacritics and punctuation, collapse whitespace
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/gi, 'd')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s'-]/gu, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Typos allowed for a word of this length
+    tolerance(word) {
+        if (word.length <= 4) return 0;
+        if (word.length <= 8) return 1;
+        return 2;
+    }
+
+    // Regular plural, past tense and -ing forms of an English word.
+    // Multi-word answers are inflected on their first word ("look up").
+    inflections(word) {
+        const [head, ...rest] = word.split(' ');
+        const tail = rest.length ? ` ${rest.join(' ')}` : '';
+        const forms = new Set();
+        const add = (form) => forms.add(form + tail);
+
+        const last = head.slice(-1);
+        const beforeLast = head.slice(-2, -1);
+        const endsWithConsonantY = last === 'y' && beforeLast && !VOWELS.includes(beforeLast);
+        // stop -> stopped, stopping (short consonant-vowel-consonant words)
+        const doubles = head.length <= 4 && /[^aeiou][aeiou][^aeiouwxy]$/.test(head);
+
+        // Plural / third person
+        if (/(s|x|z|ch|sh)$/.test(head)) add(`${head}es`);
+        else if (endsWithConsonantY) add(`${head.slice(0, -1)}ies`);
+        else add(`${head}s`);
+
+        // Past tense
+        if (last === 'e') add(`${head}d`);
+        else if (endsWithConsonantY) add(`${head.slice(0, -1)}ied`);
+        else if (doubles) add(`${head}${last}ed`);
+        else add(`${head}ed`);
+
+        // Present participle
+        if (/ie$/.test(head)) add(`${head.slice(0, -2)}ying`);
+        else if (last === 'e' && !/(ee|ye|oe)$/.test(head)) add(`${head.slice(0, -1)}ing`);
+        else if (doubles) add(`${head}${last}ing`);
+        else add(`${head}ing`);
+
+        return forms;
+    }
+
+    // Letter-by-letter comparison of a typed answer with the expected term:
+    // each entry is correct, wrong (typed instead of `expected`), missing or extra
+    diff(answer, expected) {
+        const a = [...this.normalize(answer)];
+        const b = [...this.normalize(expected)];
+
+        const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+        for (let i = 1; i <= a.length; i++) {
+            rows[i] = [i];
+            for (let j = 1; j <= b.length; j++) {
+                rows[i][j] = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+        }
+
+        const result = [];
+        let i = a.length;
+        let j = b.length;
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0 && rows[i][j] === rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)) {
+                result.unshift(a[i - 1] === b[j - 1]
+                    ? { letter: b[j - 1], status: 'correct' }
+                    : { letter: a[i - 1], expected: b[j - 1], status: 'wrong' });
+                i--;
+                j--;
+            } else if (j > 0 && rows[i][j] === rows[i][j - 1] + 1) {
+                result.unshift({ letter: b[j - 1], status: 'missing' });
+                j--;
+            } else {
+                result.unshift({ letter: a[i - 1], status: 'extra' });
+                i--;
+            }
+        }
+
+        return result;
+    }
+
+    // Edit distance where swapping two adjacent letters counts as one typo
+    // (optimal string alignment)
+    levenshtein(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+
+        const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+
+        for (let i = 1; i <= a.length; i++) {
+            rows[i] = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + cost
+                );
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+}
+
+module.exports = new AnswerChecker();
+module.exports.MATCH_QUALITY = MATCH_QUALITY;
@@ -0,0 +1,166 @@
+const supabase = require('../config/database');
+const cacheService = require('./CacheService');
+const answerChecker = require('./answerChecker');
+
+const DISTRACTOR_COUNT = 3;
+const HISTORY_SIZE = 50;
+const HISTORY_TTL = 90 * 24 * 60 * 60; // 90 days
+// Meanings sharing this much of their wording are treated as synonyms
+const SYNONYM_OVERLAP = 0.8;
+
+// Picks wrong options for multiple-choice style exercises. Candidates are
+// ranked by how easily they could be confused with the target (same part of
+// speech, similar difficulty, spelling or meaning); synonyms of the target
+// are never offered, and each user sees a new set of options per word.
+class DistractorEngine {
+    // Candidate words from one list, or from any list, limited to the lists
+    // the user owns and public ones
+    async getPool(userId, listId, limit = 100) {
+        let query = supabase
+            .from('vocabulary_items')
+            .select('id, word, meaning, example_sentence, image_url, pronunciation, part_of_speech, difficulty_level, synonyms, list:vocabulary_lists!inner(owner_id, privacy)')
+            .or(`privacy.eq.public,owner_id.eq.${userId}`, { referencedTable: 'list' });
+
+        if (listId) {
+            query = query.eq('list_id', listId);
+        }
+
+        const { data, error } = await query.limit(limit);
+        if (error) throw error;
+
+        return (data || []).map(({ list, ...word }) => word);
+    }
+
+    // Distractors for each word, keyed by word id
+    async pickFor(userId, words, pool, count = DISTRACTOR_COUNT) {
+        const keys = words.map(word => this.historyKey(userId, word.id));
+        const histories = await cacheService.mget(keys);
+
+        const result = new Map();
+        await Promise.all(words.map(async (word, i) => {
+            const history = histories[i] || [];
+            const distractors = this.pick(word, pool, { count, history });
+            result.set(word.id, distractors);
+
+            if (distractors.length > 0) {
+                const updated = [this.signature(distractors), ...history].slice(0, HISTORY_SIZE);
+                await cacheService.set(keys[i], updated, HISTORY_TTL);
+            }
+        }));
+
+        return result;
+    }
+
+    // Best-ranked set of `count` candidates whose signature is not in `history`
+    pick(target, pool, { count = DISTRACTOR_COUNT, history = [] } = {}) {
+        const ranked = pool
+            .filter(candidate => this.isEligible(target, candidate))
+            .map(candidate => ({ candidate, score: this.score(target, candidate) + Math.random() * 0.5 }))
+            .sort((a, b) => b.score - a.score)
+            .map(({ candidate }) => candidate);
+
+        if (ranked.length <= count) return ranked;
+
+        const seen = new Set(history);
+        // Widen the search gradually so the best-ranked candidates stay preferred
+        for (let width = count + 2; ; width += 2) {
+            const top = ranked.slice(0, Math.min(width, ranked.length));
+            const fresh = this.firstUnseenCombination(top, count, seen);
+            if (fresh) return fresh;
+            if (top.length === ranked.length) break;
+        }
+
+        // Every combination has been used; fall back to the best one
+        return ranked.slice(0, count);
+    }
+
+    firstUnseenCombination(items, count, seen) {
+        const indexes = Array.from({ length: count }, (_, i) => i);
+
+        while (true) {
+            const combination = indexes.map(i => items[i]);
+            if (!seen.has(this.signature(combination))) return combination;
+
+            // Advance to the next combination in lexicographic order
+            let i = count - 1;
+            while (i >= 0 && indexes[i] === items.length - count + i) i--;
+            if (i < 0) return null;
+
+            indexes[i]++;
+            for (let j = i + 1; j < count; j++) {
+                indexes[j] = indexes[j - 1] + 1;
+            }
+        }
+    }
+
+    isEligible(target, candidate) {
+        if (candidate.id === target.id) return false;
+
+        const word = answerChecker.normalize(target.word);
+        const candidateWord = answerChecker.normalize(candidate.word);
+        if (!candidateWord || candidateWord === word) return false;
+
+        return !this.isSynonym(target, candidate);
+    }
+
+    isSynonym(target, candidate) {
+        const normalizeAll = (words) => (words || []).map(w => answerChecker.normalize(w));
+        const word = answerChecker.normalize(target.word);
+        const candidateWord = answerChecker.normalize(candidate.word);
+
+        if (normalizeAll(target.synonyms).includes(candidateWord)) return true;
+        if (normalizeAll(candidate.synonyms).includes(word)) return true;
+
+        // Same (or nearly the same) meaning would make two options correct
+        return this.meaningOverlap(target.meaning, candidate.meaning) >= SYNONYM_OVERLAP;
+    }
+
+    score(target, candidate) {
+        let score = 0;
+
+        if (target.part_of_speech && target.part_of_speech === candidate.part_of_speech) {
+            score += 3;
+        }
+
+        if (target.difficulty_level && target.difficulty_level === candidate.difficulty_level) {
+            score += 2;
+        }
+
+        score += 3 * this.spellingSimilarity(target.word, candidate.word);
+        score += 3 * this.meaningOverlap(target.meaning, candidate.meaning);
+
+        return score;
+    }
+
+    // 1 for identical spelling, 0 for nothing in common
+    spellingSimilarity(a, b) {
+        const left = answerChecker.normalize(a);
+        const right = answerChecker.normalize(b);
+        const length = Math.max(left.length, right.length);
+
+        return length === 0 ? 0 : 1 - answerChecker.levenshtein(left, right) / length;
+    }
+
+    // Share of meaning tokens in common (Jaccard index). Diacritics are kept:
+    // in Vietnamese they distinguish words ("bán" / "bàn").
+    meaningOverlap(a, b) {
+        const tokens = (text) => new Set(String(text || '').normalize('NFC').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+        const left = tokens(a);
+        const right = tokens(b);
+        if (left.size === 0 || right.size === 0) return 0;
+
+        const shared = [...left].filter(token => right.has(token)).length;
+        return shared / (left.size + right.size - shared);
+    }
+
+    signature(distractors) {
+        return distractors.map(d => d.id).sort().join(',');
+    }
+
+    historyKey(userId, wordId) {
+        return `distractor_sets:${userId}:${wordId}`;
+    }
+}
+
+module.exports = new DistractorEngine();
+module.exports.DISTRACTOR_COUNT = DISTRACTOR_COUNT;
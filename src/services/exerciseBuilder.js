@@ -0,0 +1,154 @@
+const answerChecker = require('./answerChecker');
+const sentenceBuilder = require('./sentenceBuilder');
+const { CARD_DIRECTIONS, CARD_STATES } = require('./spacedRepetition');
+
+const EXERCISE_MODES = ['flashcard', 'fill-in-blank', 'word-association', 'multiple-choice', 'spelling', 'sentence-building', 'collocation', 'context-usage'];
+// Showing the term tests recognition (forward); producing it tests recall
+// (reverse). Flashcards can be shown either way round.
+const EXERCISE_DIRECTIONS = {
+    'word-association': CARD_DIRECTIONS.FORWARD,
+    'multiple-choice': CARD_DIRECTIONS.REVERSE,
+    'fill-in-blank': CARD_DIRECTIONS.REVERSE,
+    spelling: CARD_DIRECTIONS.REVERSE,
+    'sentence-building': CARD_DIRECTIONS.FORWARD,
+    collocation: CARD_DIRECTIONS.FORWARD,
+    'context-usage': CARD_DIRECTIONS.FORWARD
+};
+// Review cards with an interval of at least this many days are mature
+const MATURE_INTERVAL = 21;
+
+// Builds the per-word payload for each review mode. Used by the stateless
+// session endpoints and by server-side review sessions. Option-based modes
+// take their wrong options from distractorEngine; usage exercises
+// (collocation, context-usage) are generated by usageExercises.
+class ExerciseBuilder {
+    build(mode, word, distractors = [], direction = CARD_DIRECTIONS.FORWARD) {
+        switch (mode) {
+            case 'fill-in-blank':
+                return word.example_sentence ? this.fillInBlank(word) : this.flashcard(word, CARD_DIRECTIONS.REVERSE);
+            case 'word-association':
+                return this.wordAssociation(word, distractors);
+            case 'multiple-choice':
+                return this.multipleChoice(word, distractors);
+            case 'spelling':
+                return this.spelling(word);
+            case 'sentence-building':
+                return sentenceBuilder.canBuild(word.example_sentence) ? this.sentenceBuilding(word) : this.flashcard(word, direction);
+            default:
+                return this.flashcard(word, direction);
+        }
+    }
+
+    // How well a queue item is known: new (including learning steps), young
+    // or mature
+    maturity(item) {
+        if (item.progress?.state !== CARD_STATES.REVIEW) return 'new';
+        return (item.progress.interval || 0) >= MATURE_INTERVAL ? 'mature' : 'young';
+    }
+
+    // Exercise for a due card in a smart session: harder exercises as the
+    // card matures. When reverse cards are on, forward (recognition) cards
+    // only get recognition exercises so the review lands on the right card.
+    smartMode(item, { reverseCards = false } = {}) {
+        const maturity = this.maturity(item);
+        if (maturity === 'new') return 'flashcard';
+
+        if (reverseCards && item.direction === CARD_DIRECTIONS.FORWARD) return 'word-association';
+        if (maturity === 'young') return 'multiple-choice';
+
+        return item.vocabulary.example_sentence ? 'fill-in-blank' : 'spelling';
+    }
+
+    // Direction of the card an exercise reviews
+    directionFor(mode, cardDirection = CARD_DIRECTIONS.FORWARD) {
+        return EXERCISE_DIRECTIONS[mode] || cardDirection;
+    }
+
+    // Reverse flashcards show the meaning first
+    flashcard(word, direction = CARD_DIRECTIONS.FORWARD) {
+        return { ...word, type: 'flashcard', direction };
+    }
+
+    // The word and its inflected forms are blanked out; the answer stays on
+    // the server and is graded by answerChecker
+    fillInBlank(word) {
+        const forms = [word.word, ...answerChecker.inflections(word.word.toLowerCase())]
+            .sort((a, b) => b.length - a.length)
+            .map(form => form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const wordRegex = new RegExp(`\\b(${forms.join('|')})\\b`, 'gi');
+        const blankedSentence = word.example_sentence.replace(wordRegex, '_____');
+
+        return {
+            type: 'fill-in-blank',
+            id: word.id,
+            meaning: word.meaning,
+            blankedSentence: blankedSentence,
+            hint: word.word.substring(0, 1) + '...'
+        };
+    }
+
+    // Hear the word and read its meaning, then type it. The term itself is
+    // not sent; answers are graded by answerChecker.
+    spelling(word) {
+        return {
+            type: 'spelling',
+            id: word.id,
+            meaning: word.meaning,
+            pronunciation: word.pronunciation || null,
+            audioUrl: word.audio_url || null,
+            length: word.word.length
+        };
+    }
+
+    // Put the scrambled words of the example sentence back in order. The
+    // sentence stays on the server and is graded by sentenceBuilder.
+    sentenceBuilding(word) {
+        const { tokens, ending } = sentenceBuilder.scramble(word.example_sentence);
+
+        return {
+            type: 'sentence-building',
+            id: word.id,
+            word: word.word,
+            meaning: word.meaning,
+            tokens,
+            ending
+        };
+    }
+
+    // Pick the word's meaning out of four
+    wordAssociation(word, distractors) {
+        return {
+            type: 'word-association',
+            wordId: word.id,
+            word: word.word,
+            options: this.options(word, distractors, w => w.meaning)
+        };
+    }
+
+    // Pick the word that matches a meaning
+    multipleChoice(word, distractors) {
+        return {
+            type: 'multiple-choice',
+            wordId: word.id,
+            meaning: word.meaning,
+            partOfSpeech: word.part_of_speech || null,
+            options: this.options(word, distractors, w => w.word)
+        };
+    }
+
+    options(word, distractors, text) {
+        return [
+            { id: word.id, text: text(word), isCorrect: true },
+            ...distractors.map(w => ({
+                id: w.id,
+                text: text(w),
+                isCorrect: false
+            }))
+        ].sort(() => Math.random() - 0.5);
+    }
+}
+
+module.exports = new ExerciseBuilder();
+module.exports.EXERCISE_MODES = EXERCISE_MODES;
+module.exports.EXERCISE_DIRECTIONS = EXERCISE_DIRECTIONS;
+module.exports.MATURE_INTERVAL = MATURE_INTERVAL;
@@ -0,0 +1,67 @@
+const supabase = require('../config/database');
+
+// Median of the user's last ROLLING_WINDOW correct answers; fewer than
+// MIN_SAMPLES of them is not enough to judge speed
+const ROLLING_WINDOW = 50;
+const MIN_SAMPLES = 10;
+// Response time relative to the median
+const FAST_RATIO = 0.75;
+const SLOW_RATIO = 1.5;
+
+// Derives a 0-3 rating from whether an answer was correct and how fast it
+// came compared with the user's own pace on the same exercise type:
+// wrong -> Again, slow -> Hard, usual pace -> Good, fast -> Easy.
+class ResponseGrader {
+    async grade(userId, { correct, responseTime, exercise = null }) {
+        const medianResponseTime = correct && responseTime != null
+            ? await this.getMedianResponseTime(userId, exercise)
+            : null;
+
+        return {
+            derivedQuality: this.derive(correct, responseTime, medianResponseTime),
+            medianResponseTime
+        };
+    }
+
+    derive(correct, responseTime, medianResponseTime) {
+        if (!correct) return 0;
+        if (responseTime == null || !medianResponseTime) return 2;
+
+        const ratio = responseTime / medianResponseTime;
+        if (ratio <= FAST_RATIO) return 3;
+        if (ratio > SLOW_RATIO) return 1;
+        return 2;
+    }
+
+    // `exercise` undefined takes every exercise type into account
+    async getMedianResponseTime(userId, exercise) {
+        let query = supabase
+            .from('review_history')
+            .select('response_time')
+            .eq('user_id', userId)
+            .eq('is_correct', true)
+            .not('response_time', 'is', null);
+
+        if (exercise !== undefined) {
+            query = exercise ? query.eq('exercise', exercise) : query.is('exercise', null);
+        }
+
+        const { data, error } = await query
+            .order('reviewed_at', { ascending: false })
+            .limit(ROLLING_WINDOW);
+
+        if (error) throw error;
+
+        const times = (data || []).map(row => row.response_time);
+        return times.length >= MIN_SAMPLES ? this.median(times) : null;
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+
+        return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+    }
+}
+
+module.exports = new ResponseGrader();
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const supabase = require('../config/database');
+const spacedRepetition = require('./spacedRepetition');
+const reviewService = require('./reviewService');
+const cacheService = require('./CacheService');
+
+const MAX_BATCH_REVIEWS = 100;
+// A batch still 'processing' after this long was left behind by a request
+// that crashed, and its key can be claimed again
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+const BATCH_OUTCOMES = {
+    APPLIED: 'applied',
+    REPLAYED: 'replayed',       // same key and payload as an applied batch
+    IN_PROGRESS: 'in_progress', // same key as a batch still being applied
+    KEY_REUSED: 'key_reused'    // same key, different payload
+};
+
+// Bulk review submission for clients on flaky networks. The reviews of a
+// batch are scheduled in order, then written in a single transaction
+// (apply_review_batch), together with the response stored under the
+// client's Idempotency-Key; a retried request gets that response back
+// without counting the reviews again.
+class ReviewBatchService {
+    async submit(userId, reviews, idempotencyKey) {
+        const requestHash = this.hash(reviews);
+        const claim = await this.claim(userId, idempotencyKey, requestHash);
+        if (!claim.claimed) {
+            return this.previousOutcome(claim.batch, requestHash);
+        }
+
+        let prepared;
+        try {
+            prepared = await this.prepare(userId, reviews);
+            await this.apply(claim.batch, prepared);
+        } catch (error) {
+            // Let a retry with the same key apply the batch
+            await this.release(claim.batch);
+            throw error;
+        }
+
+        for (const leech of prepared.leeches) {
+            await spacedRepetition.notifyLeech(userId, leech.vocabularyId, leech.lapses, leech.suspended);
+        }
+
+        await reviewService.updateUserStats(userId);
+        await cacheService.del(`review_queue:${userId}`);
+
+        return { outcome: BATCH_OUTCOMES.APPLIED, response: prepared.response };
+    }
+
+    // Schedule the reviews in order. A card reviewed more than once in the
+    // batch is scheduled from its state after the previous review, and only
+    // its final row is written.
+    async prepare(userId, reviews) {
+        const config = await spacedRepetition.getSchedulingConfig(userId);
+        const progress = new Map();
+        const cards = new Map();
+        const history = [];
+        const leeches = [];
+        const results = [];
+
+        for (const review of reviews) {
+            const key = spacedRepetition.cardKey(config, review.direction, review.exerciseType);
+            const cardId = `${review.vocabularyId}:${key.direction}:${key.exercise_type}`;
+
+            const item = await reviewService.prepareReview(userId, review, config, progress.get(cardId));
+
+            progress.set(cardId, { ...item.previous, ...item.card });
+            cards.set(cardId, { ...cards.get(cardId), ...item.card });
+            history.push(item.history);
+            if (item.leech) leeches.push({ vocabularyId: review.vocabularyId, ...item.leech });
+
+            const { lapsed, ...result } = item.result;
+            results.push({ vocabularyId: review.vocabularyId, ...result });
+        }
+
+        return {
+            cards: [...cards.values()],
+            history,
+            leeches,
+            response: {
+                results,
+                total: results.length,
+                correct: results.filter(result => result.quality > 0).length
+            }
+        };
+    }
+
+    // Fails without writing anything when the claim was taken over in the
+    // meantime (see reclaim)
+    async apply(batch, { cards, history, response }) {
+        const { error } = await supabase.rpc('apply_review_batch', {
+            p_batch_id: batch.id,
+            p_claimed_at: batch.created_at,
+            p_cards: cards,
+            p_history: history,
+            p_response: response
+        });
+
+        if (error) throw error;
+    }
+
+    previousOutcome(batch, requestHash) {
+        if (batch.request_hash !== requestHash) return { outcome: BATCH_OUTCOMES.KEY_REUSED };
+        if (batch.status !== 'completed') return { outcome: BATCH_OUTCOMES.IN_PROGRESS };
+
+        return { outcome: BATCH_OUTCOMES.REPLAYED, response: batch.response };
+    }
+
+    // Reserve the key; the unique (user_id, idempotency_key) constraint
+    // makes concurrent retries see the first request's batch
+    async claim(userId, idempotencyKey, requestHash, now = new Date()) {
+        const { data, error } = await supabase
+            .from('review_batches')
+            .insert({
+                user_id: userId,
+                idempotency_key: idempotencyKey,
+                request_hash: requestHash,
+                status: 'processing'
+            })
+            .select('id, created_at')
+            .single();
+
+        if (!error) return { claimed: true, batch: data };
+        if (error.code !== '23505') throw error;
+
+        const { data: batch, error: lookupError } = await supabase
+            .from('review_batches')
+            .select('id, request_hash, status, response, created_at')
+            .eq('user_id', userId)
+            .eq('idempotency_key', idempotencyKey)
+            .single();
+
+        if (lookupError) throw lookupError;
+
+        // Only a retry of the same request may take over its stale claim;
+        // another payload under the key is still reported as a reused key
+        if (batch.request_hash === requestHash && this.isStale(batch, now)) {
+            const reclaimed = await this.reclaim(batch, now);
+            if (reclaimed) return { claimed: true, batch: reclaimed };
+        }
+
+        return { claimed: false, batch };
+    }
+
+    isStale(batch, now = new Date()) {
+        return batch.status === 'processing' && now - new Date(batch.created_at) > CLAIM_TIMEOUT_MS;
+    }
+
+    // Take over a stale claim. Its created_at doubles as the claim token:
+    // only one of several concurrent retries matches it, and the abandoned
+    // request can no longer apply or release the batch.
+    async reclaim(batch, now = new Date()) {
+        const { data, error } = await supabase
+            .from('review_batches')
+            .update({ created_at: now.toISOString() })
+            .eq('id', batch.id)
+            .eq('status', 'processing')
+            .eq('created_at', batch.created_at)
+            .select('id, created_at')
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async release(batch) {
+        const { error } = await supabase
+            .from('review_batches')
+            .delete()
+            .eq('id', batch.id)
+            .eq('status', 'processing')
+            .eq('created_at', batch.created_at);
+
+        if (error) console.error('Release review batch error:', error);
+    }
+
+    hash(reviews) {
+        return crypto.createHash('sha256').update(JSON.stringify(reviews)).digest('hex');
+    }
+}
+
+module.exports = new ReviewBatchService();
+module.exports.MAX_BATCH_REVIEWS = MAX_BATCH_REVIEWS;
+module.exports.BATCH_OUTCOMES = BATCH_OUTCOMES;
+module.exports.CLAIM_TIMEOUT_MS = CLAIM_TIMEOUT_MS;
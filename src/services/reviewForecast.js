@@ -0,0 +1,154 @@
+const supabase = require('../config/database');
+const spacedRepetition = require('./spacedRepetition');
+const { DAY_MS, toDateKey, startOfDay, addDays } = require('../utils/dateHelper');
+
+const PAGE_SIZE = 1000;
+// Safety cap on simulated reviews per card (learning steps can repeat in a day)
+const MAX_SIMULATED_REVIEWS = 50;
+
+// Projects how many reviews fall due per day. Each card is replayed through
+// the user's scheduler assuming it is answered "Good" whenever it comes due,
+// so a card due tomorrow with a 3-day interval also shows up in 4 days.
+class ReviewForecastService {
+    async getForecast(userId, days = 30) {
+        const config = await spacedRepetition.getSchedulingConfig(userId);
+        const now = new Date();
+        const windowEnd = addDays(now, days, config.timezone);
+        const cards = await this.getScheduledCards(userId, windowEnd);
+
+        return this.buildForecast(cards, config, days, now);
+    }
+
+    // Active (not suspended) cards due before the end of the window
+    async getScheduledCards(userId, windowEnd) {
+        const cards = [];
+
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const { data, error } = await supabase
+                .from('user_vocabulary')
+                .select('vocabulary_id, state, learning_step, easiness_factor, repetitions, interval, stability, difficulty, lapses, last_review_date, next_review_date, buried_until')
+                .eq('user_id', userId)
+                .eq('is_suspended', false)
+                .lt('next_review_date', windowEnd.toISOString())
+                .order('next_review_date', { ascending: true })
+                .range(offset, offset + PAGE_SIZE - 1);
+
+            if (error) throw error;
+
+            cards.push(...(data || []));
+            if (!data || data.length < PAGE_SIZE) break;
+        }
+
+        return cards;
+    }
+
+    buildForecast(cards, config, days, now = new Date()) {
+        const timezone = config.timezone;
+        const today = startOfDay(now, timezone);
+        const windowEnd = addDays(now, days, timezone);
+
+        const forecast = [];
+        const byDate = new Map();
+        for (let i = 0; i < days; i++) {
+            const date = toDateKey(addDays(today, i, timezone), timezone);
+            const day = { date, new: 0, learning: 0, review: 0, total: 0 };
+            forecast.push(day);
+            byDate.set(date, day);
+        }
+
+        let overdue = 0;
+
+        cards.forEach(row => {
+            let card = row;
+            let due = new Date(row.next_review_date);
+
+            // Buried cards come back when the bury ends
+            if (row.buried_until && new Date(row.buried_until) > due) {
+                due = new Date(row.buried_until);
+            }
+
+            if (due < today) {
+                overdue++;
+            }
+
+            for (let i = 0; i < MAX_SIMULATED_REVIEWS && due < windowEnd; i++) {
+                const reviewAt = due < now ? now : due;
+                const day = byDate.get(toDateKey(reviewAt, timezone));
+                const type = this.cardType(card.state);
+
+                if (day) {
+                    day[type]++;
+                    day.total++;
+                }
+
+                const next = spacedRepetition.calculateNextReview(card, 2, { ...config, now: reviewAt });
+                card = {
+                    ...spacedRepetition.toProgressColumns(next),
+                    last_review_date: reviewAt
+                };
+                due = new Date(next.nextReviewDate);
+            }
+        });
+
+        const totals = forecast.reduce((sum, day) => ({
+            new: sum.new + day.new,
+            learning: sum.learning + day.learning,
+            review: sum.review + day.review,
+            total: sum.total + day.total
+        }), { new: 0, learning: 0, review: 0, total: 0 });
+
+        return {
+            days,
+            timezone,
+            scheduler: config.scheduler,
+            overdue,
+            totals,
+            forecast
+        };
+    }
+
+    // Number of active cards due per day between `from` and `to`, keyed by
+    // YYYY-MM-DD in the user's timezone
+    async getDailyLoad(userId, from, to, timezone) {
+        const { data, error } = await supabase
+            .from('user_vocabulary')
+            .select('next_review_date')
+            .eq('user_id', userId)
+            .eq('is_suspended', false)
+            .gte('next_review_date', from.toISOString())
+            .lt('next_review_date', to.toISOString());
+
+        if (error) throw error;
+
+        return (data || []).reduce((load, card) => {
+            const date = toDateKey(card.next_review_date, timezone);
+            load[date] = (load[date] || 0) + 1;
+            return load;
+        }, {});
+    }
+
+    // Spread a freshly scheduled review onto the quietest nearby day
+    async loadBalance(userId, nextReview, config, now = new Date()) {
+        if (!config.loadBalancing) return nextReview;
+
+        const [min, max] = spacedRepetition.getFuzzRange(nextReview.interval);
+        if (min === max || nextReview.state !== 'review') return nextReview;
+
+        const dailyLoad = await this.getDailyLoad(
+            userId,
+            startOfDay(new Date(now.getTime() + min * DAY_MS), config.timezone),
+            addDays(new Date(now.getTime() + max * DAY_MS), 1, config.timezone),
+            config.timezone
+        );
+
+        return spacedRepetition.balanceInterval(nextReview, dailyLoad, { now, timezone: config.timezone });
+    }
+
+    cardType(state) {
+        if (!state || state === 'new') return 'new';
+        if (state === 'learning' || state === 'relearning') return 'learning';
+        return 'review';
+    }
+}
+
+module.exports = new ReviewForecastService();
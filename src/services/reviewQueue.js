@@ -0,0 +1,324 @@
+const supabase = require('../config/database');
+const spacedRepetition = require('./spacedRepetition');
+const vacationService = require('./vacationService');
+const { toDateKey, startOfDay } = require('../utils/dateHelper');
+
+const { CARD_STATES, CARD_DIRECTIONS } = spacedRepetition;
+
+const QUEUE_ORDERS = ['due-first', 'new-first', 'interleaved', 'random'];
+const PAGE_SIZE = 1000;
+const WORD_COLUMNS = 'id, word, meaning, pronunciation, audio_url, example_sentence, image_url';
+
+// Builds the review queue: learning cards first, then due reviews and new
+// words mixed according to the user's queue order, within their daily caps
+class ReviewQueueService {
+    async getQueue(userId, limit = 20) {
+        const config = await spacedRepetition.getSchedulingConfig(userId);
+
+        // Back from an absence: spread the backlog before serving it
+        await vacationService.recoverAfterAbsence(userId, config.timezone);
+
+        const now = new Date();
+
+        const today = await this.getTodayCounts(userId, config.timezone, now);
+        const limits = {
+            newCards: config.newCardsPerDay,
+            reviews: config.reviewsPerDay
+        };
+        const remaining = {
+            newCards: Math.max(limits.newCards - today.newCards, 0),
+            reviews: Math.max(limits.reviews - today.reviews, 0)
+        };
+
+        // A word's forward and reverse cards (siblings) are never served together
+        const dueCards = this.dropSiblings((await this.getDueCards(userId, limit, now)).map(row => this.toQueueItem(row)));
+        const learning = dueCards.filter(item => item.type === 'learning');
+        const reviews = dueCards.filter(item => item.type === 'review').slice(0, remaining.reviews);
+
+        // Words added to the user's vocabulary but never reviewed count as new
+        let newCards = dueCards.filter(item => item.type === 'new').slice(0, remaining.newCards);
+        let newSlots = Math.min(remaining.newCards - newCards.length, limit - learning.length - reviews.length);
+        if (newSlots > 0) {
+            const unlearned = await this.getUnlearnedWords(userId, newSlots);
+            newCards = newCards.concat(unlearned.map(word => this.toQueueItem(null, word)));
+            newSlots -= unlearned.length;
+        }
+
+        // Reverse cards are introduced once the forward card has graduated
+        if (config.reverseCards && newSlots > 0) {
+            const scheduled = new Set(dueCards.map(item => item.vocabularyId));
+            const reverse = (await this.getNewReverseWords(userId, newSlots + scheduled.size))
+                .filter(word => !scheduled.has(word.id))
+                .slice(0, newSlots);
+            newCards = newCards.concat(reverse.map(word => this.toQueueItem(null, word, CARD_DIRECTIONS.REVERSE)));
+        }
+
+        const queue = this.orderQueue({ learning, reviews, newCards }, config.queueOrder, config.timezone)
+            .slice(0, limit);
+
+        const dueReviews = queue.filter(item => item.type !== 'new');
+        const newWords = queue.filter(item => item.type === 'new');
+
+        return {
+            queue,
+            dueReviews,
+            newWords,
+            totalDue: dueReviews.length,
+            totalNew: newWords.length,
+            totalLearning: queue.filter(item => item.type === 'learning').length,
+            order: config.queueOrder,
+            today,
+            limits,
+            remaining
+        };
+    }
+
+    // Words due now, plus learning cards whose next step comes up within the
+    // learn-ahead window of this session
+    async getDueCards(userId, limit, now) {
+        const learnAheadUntil = new Date(now.getTime() + spacedRepetition.learnAheadMinutes * 60 * 1000);
+
+        const { data, error } = await supabase
+            .from('user_vocabulary')
+            .select(`
+                id,
+                vocabulary_id,
+                direction,
+                exercise_type,
+                repetitions,
+                easiness_factor,
+                interval,
+                state,
+                learning_step,
+                next_review_date,
+                last_review_date,
+                vocabulary:vocabulary_items(
+                    id,
+                    word,
+                    meaning,
+                    pronunciation,
+                    audio_url,
+                    example_sentence,
+                    image_url,
+                    list:vocabulary_lists(name)
+                )
+            `)
+            .eq('user_id', userId)
+            .eq('is_suspended', false)
+            .or(`buried_until.is.null,buried_until.lte.${now.toISOString()}`)
+            .or(`next_review_date.lte.${now.toISOString()},and(state.in.(learning,relearning),next_review_date.lte.${learnAheadUntil.toISOString()})`)
+            .order('next_review_date', { ascending: true })
+            .limit(limit);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    // Words the user has no card for yet: from their own lists first, then
+    // from public lists. PostgREST filters cannot hold a subquery, so the
+    // learned words are dropped here.
+    async getUnlearnedWords(userId, limit) {
+        const learned = await this.getLearnedIds(userId);
+        const words = [];
+
+        const sources = [
+            query => query.eq('list.owner_id', userId),
+            query => query.eq('list.privacy', 'public').neq('list.owner_id', userId)
+        ];
+
+        for (const source of sources) {
+            for (let offset = 0; words.length < limit; offset += PAGE_SIZE) {
+                const { data, error } = await source(supabase
+                    .from('vocabulary_items')
+                    .select(`${WORD_COLUMNS}, list:vocabulary_lists!inner(name, owner_id, privacy)`))
+                    .order('id', { ascending: true })
+                    .range(offset, offset + PAGE_SIZE - 1);
+
+                if (error) throw error;
+
+                (data || [])
+                    .filter(word => !learned.has(word.id))
+                    .forEach(({ list, ...word }) => words.push({ ...word, list: { name: list.name } }));
+
+                if (!data || data.length < PAGE_SIZE) break;
+            }
+        }
+
+        return words.slice(0, limit);
+    }
+
+    async getLearnedIds(userId) {
+        const ids = new Set();
+
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const { data, error } = await supabase
+                .from('user_vocabulary')
+                .select('vocabulary_id')
+                .eq('user_id', userId)
+                .range(offset, offset + PAGE_SIZE - 1);
+
+            if (error) throw error;
+
+            (data || []).forEach(row => ids.add(row.vocabulary_id));
+            if (!data || data.length < PAGE_SIZE) break;
+        }
+
+        return ids;
+    }
+
+    // Words whose forward card is in review but which have no reverse card yet
+    async getNewReverseWords(userId, limit) {
+        const { data: started, error: startedError } = await supabase
+            .from('user_vocabulary')
+            .select('vocabulary_id')
+            .eq('user_id', userId)
+            .eq('direction', CARD_DIRECTIONS.REVERSE);
+
+        if (startedError) throw startedError;
+
+        let query = supabase
+            .from('user_vocabulary')
+            .select(`
+                vocabulary:vocabulary_items(
+                    id,
+                    word,
+                    meaning,
+                    pronunciation,
+                    audio_url,
+                    example_sentence,
+                    image_url,
+                    list:vocabulary_lists(name)
+                )
+            `)
+            .eq('user_id', userId)
+            .eq('direction', CARD_DIRECTIONS.FORWARD)
+            .eq('state', CARD_STATES.REVIEW)
+            .eq('is_suspended', false);
+
+        const startedIds = [...new Set((started || []).map(row => row.vocabulary_id))];
+        if (startedIds.length > 0) {
+            query = query.not('vocabulary_id', 'in', `(${startedIds.join(',')})`);
+        }
+
+        const { data, error } = await query
+            .order('first_learned_at', { ascending: true })
+            .limit(limit);
+
+        if (error) throw error;
+        return (data || []).map(row => row.vocabulary).filter(Boolean);
+    }
+
+    // New words introduced and reviews done since midnight in the user's timezone.
+    // A new word's first review is counted as new, not as a review.
+    async getTodayCounts(userId, timezone, now = new Date()) {
+        const dayStart = startOfDay(now, timezone).toISOString();
+
+        const [introduced, reviewed] = await Promise.all([
+            supabase
+                .from('user_vocabulary')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', userId)
+                .gte('first_learned_at', dayStart),
+            supabase
+                .from('review_history')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', userId)
+                .gte('reviewed_at', dayStart)
+        ]);
+
+        if (introduced.error) throw introduced.error;
+        if (reviewed.error) throw reviewed.error;
+
+        const newCards = introduced.count || 0;
+        return {
+            newCards,
+            reviews: Math.max((reviewed.count || 0) - newCards, 0)
+        };
+    }
+
+    toQueueItem(progress, word = null, direction = CARD_DIRECTIONS.FORWARD) {
+        if (!progress) {
+            return { type: 'new', vocabularyId: word.id, direction, exerciseType: null, nextReviewDate: null, vocabulary: word, progress: null };
+        }
+
+        const { vocabulary, ...card } = progress;
+        const { state } = spacedRepetition.toCardState(card);
+
+        return {
+            type: state === 'new' ? 'new' : (state === 'review' ? 'review' : 'learning'),
+            vocabularyId: card.vocabulary_id,
+            direction: card.direction || CARD_DIRECTIONS.FORWARD,
+            exerciseType: card.exercise_type && card.exercise_type !== 'any' ? card.exercise_type : null,
+            nextReviewDate: card.next_review_date,
+            vocabulary,
+            progress: card
+        };
+    }
+
+    // Keep only the first card of each word
+    dropSiblings(items) {
+        const seen = new Set();
+        return items.filter(item => {
+            if (seen.has(item.vocabularyId)) return false;
+            seen.add(item.vocabularyId);
+            return true;
+        });
+    }
+
+    orderQueue({ learning = [], reviews = [], newCards = [] }, order = 'due-first', timezone) {
+        let rest;
+
+        switch (order) {
+            case 'new-first':
+                rest = [...newCards, ...reviews];
+                break;
+            case 'interleaved':
+                rest = this.interleave(reviews, newCards);
+                break;
+            case 'random':
+                rest = [...this.shuffleWithinDay(reviews, timezone), ...newCards];
+                break;
+            default:
+                rest = [...reviews, ...newCards];
+        }
+
+        // Learning cards are time-sensitive and always come first
+        return [...learning, ...rest];
+    }
+
+    // Spread new cards evenly between reviews
+    interleave(reviews, newCards) {
+        if (newCards.length === 0) return [...reviews];
+
+        const gap = Math.max(Math.floor(reviews.length / newCards.length), 1);
+        const result = [];
+        let next = 0;
+
+        reviews.forEach((card, index) => {
+            result.push(card);
+            if ((index + 1) % gap === 0 && next < newCards.length) {
+                result.push(newCards[next++]);
+            }
+        });
+
+        return result.concat(newCards.slice(next));
+    }
+
+    // Keep due days in order but shuffle cards that fall due on the same day
+    shuffleWithinDay(reviews, timezone) {
+        const byDay = new Map();
+
+        reviews.forEach(card => {
+            const day = card.nextReviewDate ? toDateKey(card.nextReviewDate, timezone) : '';
+            if (!byDay.has(day)) byDay.set(day, []);
+            byDay.get(day).push(card);
+        });
+
+        return [...byDay.keys()]
+            .sort()
+            .flatMap(day => byDay.get(day).sort(() => Math.random() - 0.5));
+    }
+}
+
+module.exports = new ReviewQueueService();
+module.exports.QUEUE_ORDERS = QUEUE_ORDERS;
@@ -0,0 +1,329 @@
+const supabase = require('../config/database');
+const spacedRepetition = require('./spacedRepetition');
+const reviewForecast = require('./reviewForecast');
+const vacationService = require('./vacationService');
+const cacheService = require('./CacheService');
+const responseGrader = require('./responseGrader');
+const { DAY_MS, toDateKey } = require('../utils/dateHelper');
+
+// Applies one answered review: reschedules the card, logs it to
+// review_history, flags leeches and refreshes the user's stats
+class ReviewService {
+    // `direction` and `exerciseType` pick the card being reviewed; they only
+    // matter when the user schedules reverse cards or exercise types separately.
+    // `performance` is the self-reported rating; with `correct` the rating can
+    // also be derived from the response time (see resolveQuality).
+    // `reviewedAt` replays a review made earlier (offline sync).
+    async recordReview(userId, review) {
+        const schedulingConfig = await spacedRepetition.getSchedulingConfig(userId);
+        const { card, history, leech, result } = await this.prepareReview(userId, review, schedulingConfig);
+        
+        // Update user_vocabulary
+        const { error: updateError } = await supabase
+            .from('user_vocabulary')
+            .upsert(card, { onConflict: 'user_id,vocabulary_id,direction,exercise_type' });
+            
+        if (updateError) throw updateError;
+        
+        // Log review history
+        const { error: historyError } = await supabase
+            .from('review_history')
+            .insert(history);
+            
+        if (historyError) throw historyError;
+        
+        if (leech) {
+            await spacedRepetition.notifyLeech(userId, review.vocabularyId, leech.lapses, leech.suspended);
+        }
+        
+        await this.updateUserStats(userId);
+        await cacheService.del(`review_queue:${userId}`);
+        
+        return result;
+    }
+    
+    // Schedules a review without writing anything: the user_vocabulary and
+    // review_history rows to store, the card as it was, and the result for
+    // the client.
+    // `currentProgress` skips the lookup when the caller already has the card.
+    async prepareReview(userId, { vocabularyId, performance, correct, responseTime, isNew = false, direction, exerciseType = null, reviewedAt = null }, schedulingConfig, currentProgress) {
+        const now = reviewedAt ? new Date(reviewedAt) : new Date();
+        const cardKey = spacedRepetition.cardKey(schedulingConfig, direction, exerciseType);
+        const grading = await this.resolveQuality(userId, schedulingConfig, { performance, correct, responseTime, exerciseType });
+        const quality = grading.quality;
+        
+        if (currentProgress === undefined) {
+            ({ data: currentProgress } = await supabase
+                .from('user_vocabulary')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('vocabulary_id', vocabularyId)
+                .eq('direction', cardKey.direction)
+                .eq('exercise_type', cardKey.exercise_type)
+                .single());
+        }
+            
+        // A new word starts from the initial state; its card is only written
+        // together with the review
+        const progressData = !currentProgress || isNew ? spacedRepetition.initialProgress() : currentProgress;
+        
+        // Calculate next review with the user's scheduler (SM-2 or FSRS)
+        const cardState = await spacedRepetition.resolveCardState(userId, progressData, schedulingConfig);
+        const scheduled = spacedRepetition.calculateNextReview(cardState, quality, { ...schedulingConfig, now });
+        const nextReview = await reviewForecast.loadBalance(userId, scheduled, schedulingConfig, now);
+        
+        // Leech detection - words the user keeps failing
+        const isNewLeech = nextReview.lapses > cardState.lapses &&
+            spacedRepetition.isLeech(nextReview.lapses, schedulingConfig.leechThreshold);
+        const suspendLeech = isNewLeech && schedulingConfig.leechAction === 'suspend';
+        
+        const card = {
+            user_id: userId,
+            vocabulary_id: vocabularyId,
+            ...cardKey,
+            ...spacedRepetition.toProgressColumns(nextReview),
+            last_review_date: now,
+            total_reviews: (progressData.total_reviews || 0) + 1,
+            correct_reviews: (progressData.correct_reviews || 0) + (quality > 0 ? 1 : 0),
+            ...(isNewLeech && { is_leech: true }),
+            ...(suspendLeech && { is_suspended: true })
+        };
+        
+        const history = {
+            user_id: userId,
+            vocabulary_id: vocabularyId,
+            ...cardKey,
+            exercise: exerciseType,
+            quality,
+            raw_quality: grading.rawQuality,
+            derived_quality: grading.derivedQuality,
+            grading_mode: grading.gradingMode,
+            response_time: responseTime,
+            is_correct: quality > 0,
+            previous_interval: progressData.interval,
+            new_interval: nextReview.interval,
+            previous_easiness: progressData.easiness_factor,
+            new_easiness: nextReview.easinessFactor,
+            previous_state: currentProgress ? this.snapshot(currentProgress) : null,
+            card_created: !currentProgress,
+            reviewed_at: now
+        };
+        
+        const result = {
+            ...cardKey,
+            ...grading,
+            nextReviewDate: nextReview.nextReviewDate,
+            interval: nextReview.interval,
+            repetitions: nextReview.repetitions,
+            state: nextReview.state,
+            lapses: nextReview.lapses,
+            lapsed: nextReview.lapses > cardState.lapses,
+            isLeech: isNewLeech || !!progressData.is_leech,
+            suspended: suspendLeech || !!progressData.is_suspended
+        };
+        
+        return {
+            card,
+            history,
+            previous: progressData,
+            leech: isNewLeech ? { lapses: nextReview.lapses, suspended: suspendLeech } : null,
+            result
+        };
+    }
+    
+    // Reverts the review the user submitted last (not the one with the latest
+    // reviewed_at, which synced reviews set to the client's time): the card
+    // gets back the state it had before (or is removed if the review created
+    // it) and the review is dropped from review_history, in one transaction
+    // (undo_review). Null when there is nothing to undo.
+    async undoLastReview(userId) {
+        const { data: review, error } = await supabase
+            .from('review_history')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+            
+        if (error) throw error;
+        if (!review) return null;
+        
+        const restored = review.card_created
+            ? null
+            : review.previous_state || await this.legacyPreviousState(userId, review);
+        
+        const { data: undone, error: undoError } = await supabase.rpc('undo_review', {
+            p_history_id: review.id,
+            p_user_id: userId,
+            p_state: restored
+        });
+        
+        if (undoError) throw undoError;
+        // Undone by a concurrent request
+        if (!undone) return null;
+        
+        await this.updateUserStats(userId);
+        await cacheService.del(`review_queue:${userId}`);
+        
+        return {
+            vocabularyId: review.vocabulary_id,
+            direction: review.direction,
+            exerciseType: review.exercise_type,
+            quality: review.quality,
+            reviewedAt: review.reviewed_at,
+            cardRemoved: review.card_created,
+            nextReviewDate: restored?.next_review_date ?? null,
+            interval: restored?.interval ?? null,
+            state: restored?.state ?? null
+        };
+    }
+    
+    // Card columns a review changes, as they were before it
+    snapshot(progress) {
+        return {
+            easiness_factor: progress.easiness_factor,
+            repetitions: progress.repetitions,
+            interval: progress.interval,
+            next_review_date: progress.next_review_date,
+            stability: progress.stability ?? null,
+            difficulty: progress.difficulty ?? null,
+            state: progress.state,
+            learning_step: progress.learning_step,
+            lapses: progress.lapses,
+            last_review_date: progress.last_review_date ?? null,
+            total_reviews: progress.total_reviews || 0,
+            correct_reviews: progress.correct_reviews || 0,
+            is_leech: !!progress.is_leech,
+            is_suspended: !!progress.is_suspended
+        };
+    }
+    
+    // Reviews logged before previous_state was recorded only kept the
+    // previous interval and easiness; the card is made due again from the
+    // time of the undone review
+    async legacyPreviousState(userId, review) {
+        const { data: progress, error } = await supabase
+            .from('user_vocabulary')
+            .select('total_reviews, correct_reviews')
+            .eq('user_id', userId)
+            .eq('vocabulary_id', review.vocabulary_id)
+            .eq('direction', review.direction)
+            .eq('exercise_type', review.exercise_type)
+            .maybeSingle();
+            
+        if (error) throw error;
+        
+        return {
+            interval: review.previous_interval,
+            easiness_factor: review.previous_easiness,
+            next_review_date: review.reviewed_at,
+            total_reviews: Math.max((progress?.total_reviews || 0) - 1, 0),
+            correct_reviews: Math.max((progress?.correct_reviews || 0) - (review.is_correct ? 1 : 0), 0)
+        };
+    }
+    
+    // The rating a review is scheduled with. A rating derived from correctness
+    // and response time replaces the self-reported one when the user has
+    // automatic grading on, or when no rating was reported at all.
+    async resolveQuality(userId, config, { performance, correct, responseTime, exerciseType }) {
+        const rawQuality = performance ?? null;
+        let derivedQuality = null;
+
+        if (correct !== undefined) {
+            ({ derivedQuality } = await responseGrader.grade(userId, { correct, responseTime, exercise: exerciseType }));
+        }
+
+        const auto = derivedQuality !== null && (config.autoGrade || rawQuality === null);
+
+        return {
+            quality: auto ? derivedQuality : rawQuality,
+            rawQuality,
+            derivedQuality,
+            gradingMode: auto ? 'auto' : 'self'
+        };
+    }
+    
+    async updateUserStats(userId) {
+        try {
+            // Get all vocabulary progress
+            const { data: progress } = await supabase
+                .from('user_vocabulary')
+                .select('vocabulary_id, repetitions')
+                .eq('user_id', userId);
+                
+            // A word can have several cards (reverse, per exercise type);
+            // it is mastered once all of them are
+            const words = new Map();
+            (progress || []).forEach(card => {
+                words.set(card.vocabulary_id, Math.min(words.get(card.vocabulary_id) ?? Infinity, card.repetitions));
+            });
+            
+            const totalVocabulary = words.size;
+            const masteredVocabulary = [...words.values()].filter(repetitions => repetitions >= 5).length;
+            
+            // Get review stats
+            const { data: reviews } = await supabase
+                .from('review_history')
+                .select('is_correct, reviewed_at')
+                .eq('user_id', userId);
+                
+            const totalReviews = reviews?.length || 0;
+            const correctReviews = reviews?.filter(r => r.is_correct).length || 0;
+            
+            // Calculate streak
+            const currentStreak = await this.calculateStreak(userId);
+            
+            // Update user_stats
+            await supabase
+                .from('user_stats')
+                .upsert({
+                    user_id: userId,
+                    total_vocabulary: totalVocabulary,
+                    mastered_vocabulary: masteredVocabulary,
+                    total_reviews: totalReviews,
+                    correct_reviews: correctReviews,
+                    current_streak: currentStreak,
+                    last_review_date: new Date()
+                });
+                
+        } catch (error) {
+            console.error('Update user stats error:', error);
+        }
+    }
+    
+    async calculateStreak(userId) {
+        const [{ data: reviews }, { timezone }, absences] = await Promise.all([
+            supabase
+                .from('review_history')
+                .select('reviewed_at')
+                .eq('user_id', userId)
+                .order('reviewed_at', { ascending: false })
+                .limit(100),
+            spacedRepetition.getSchedulingConfig(userId),
+            vacationService.getAbsences(userId)
+        ]);
+            
+        if (!reviews || reviews.length === 0) return 0;
+        
+        let streak = 1;
+        let currentDate = toDateKey(reviews[0].reviewed_at, timezone);
+        
+        for (let i = 1; i < reviews.length; i++) {
+            const reviewDate = toDateKey(reviews[i].reviewed_at, timezone);
+            
+            const dayDiff = Math.round((Date.parse(currentDate) - Date.parse(reviewDate)) / DAY_MS);
+            
+            // Days spent on vacation neither count towards nor break the streak
+            if (dayDiff === 1 || (dayDiff > 1 && vacationService.coversGap(reviewDate, currentDate, absences))) {
+                streak++;
+                currentDate = reviewDate;
+            } else if (dayDiff > 1) {
+                break;
+            }
+        }
+        
+        return streak;
+    }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,394 @@
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/database');
+const cacheService = require('./CacheService');
+const reviewQueue = require('./reviewQueue');
+const reviewService = require('./reviewService');
+const exerciseBuilder = require('./exerciseBuilder');
+const answerChecker = require('./answerChecker');
+const sentenceBuilder = require('./sentenceBuilder');
+const distractorEngine = require('./distractorEngine');
+const usageExercises = require('./usageExercises');
+const { USAGE_EXERCISES } = usageExercises;
+const speedRound = require('./speedRound');
+const { EXERCISE_MODES } = exerciseBuilder;
+const LearningProgress = require('../models/LearningProgress');
+const VocabularyList = require('../models/VocabularyList');
+
+const SESSION_TTL = 24 * 60 * 60; // 1 day
+const SESSION_STATUSES = {
+    ACTIVE: 'active',
+    PAUSED: 'paused',
+    FINISHED: 'finished'
+};
+const SPEED_ROUND = 'speed-round';
+const SESSION_MODES = [...EXERCISE_MODES, SPEED_ROUND];
+
+// Server-side review sessions: a fixed set of cards answered one at a time,
+// which can be paused and resumed from any device. Redis holds the working
+// copy; every write also goes to the review_sessions table, so a session
+// resumed after a cache loss (or on an instance without the key) continues
+// from its last answer. Speed rounds are sessions with a time limit (see
+// speedRound).
+class ReviewSessionService {
+    async start(userId, { mode = 'flashcard', listId = null, limit = 20, duration = null } = {}) {
+        let words = await this.pickWords(userId, listId, mode === SPEED_ROUND ? speedRound.MAX_CARDS : limit);
+        if (words.length === 0) return null;
+
+        // Option-based modes need wrong options picked up front; usage
+        // exercises may call the AI model, so they are generated here too
+        let distractors = new Map();
+        let exercises = new Map();
+        if (mode === 'word-association' || mode === 'multiple-choice' || mode === SPEED_ROUND) {
+            const pool = await distractorEngine.getPool(userId, listId);
+            distractors = await distractorEngine.pickFor(userId, words, pool);
+        } else if (USAGE_EXERCISES.includes(mode)) {
+            const pool = await distractorEngine.getPool(userId, listId);
+            exercises = await usageExercises.generateFor(words, pool, mode);
+        }
+
+        // A speed round question needs wrong options to choose from
+        if (mode === SPEED_ROUND) {
+            words = words.filter(word => (distractors.get(word.id) || []).length > 0);
+            if (words.length === 0) return null;
+        }
+
+        const session = this.createSession(userId, { mode, listId, words, distractors, exercises, duration });
+        await this.save(session);
+
+        return session;
+    }
+
+    // `exercises` holds pre-generated exercises by word id; words without one
+    // fall back to exerciseBuilder (a flashcard for usage modes)
+    // `duration` (seconds) sets the time limit of a speed round
+    createSession(userId, { mode, listId = null, words, distractors = new Map(), exercises = new Map(), duration = null }, now = new Date()) {
+        const timed = mode === SPEED_ROUND;
+        const exerciseMode = timed ? 'multiple-choice' : mode;
+
+        return {
+            id: uuidv4(),
+            userId,
+            mode,
+            listId,
+            status: SESSION_STATUSES.ACTIVE,
+            timeLimitMs: timed ? duration * 1000 : null,
+            cards: words.map(word => {
+                const direction = exerciseBuilder.directionFor(exerciseMode, word.direction);
+                const exercise = exercises.get(word.id) || exerciseBuilder.build(exerciseMode, word, distractors.get(word.id), direction);
+                return {
+                    vocabularyId: word.id,
+                    word: word.word,
+                    direction,
+                    exercise,
+                    // Kept server-side to grade word-order answers
+                    ...(exercise.type === 'sentence-building' && { sentence: word.example_sentence }),
+                    // Speed round options are graded here, so the client never sees which is correct
+                    ...(timed && this.hideCorrectOption(exercise))
+                };
+            }),
+            position: 0,
+            answers: [],
+            activeMs: 0,
+            resumedAt: now.toISOString(),
+            startedAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            finishedAt: null,
+            summary: null
+        };
+    }
+
+    // Words from one list, or the user's review queue (due cards, then new
+    // words). None from another user's private list.
+    async pickWords(userId, listId, limit) {
+        if (!listId) {
+            const { queue } = await reviewQueue.getQueue(userId, limit);
+            return queue
+                .filter(item => item.vocabulary)
+                .map(item => ({ ...item.vocabulary, direction: item.direction }));
+        }
+
+        if (!await VocabularyList.findAccessible(listId, userId)) return [];
+
+        let query = supabase
+            .from('vocabulary_items')
+            .select('*')
+            .eq('list_id', listId);
+
+        // Skip words the user has suspended or buried
+        const inactiveIds = await LearningProgress.findInactiveVocabularyIds(userId);
+        if (inactiveIds.length > 0) {
+            query = query.not('id', 'in', `(${inactiveIds.join(',')})`);
+        }
+
+        const { data, error } = await query.limit(limit);
+        if (error) throw error;
+
+        return (data || []).sort(() => Math.random() - 0.5);
+    }
+
+    async get(userId, sessionId) {
+        let session = await cacheService.get(this.cacheKey(sessionId));
+
+        if (!session) {
+            const { data, error } = await supabase
+                .from('review_sessions')
+                .select('state')
+                .eq('id', sessionId)
+                .maybeSingle();
+
+            if (error) throw error;
+            session = data?.state || null;
+        }
+
+        return session && session.userId === userId ? session : null;
+    }
+
+    // The user's unfinished session, if any
+    async getActive(userId) {
+        const sessionId = await cacheService.get(this.activeKey(userId));
+        if (sessionId) {
+            const session = await this.get(userId, sessionId);
+            if (session && session.status !== SESSION_STATUSES.FINISHED) return session;
+        }
+
+        const { data, error } = await supabase
+            .from('review_sessions')
+            .select('id')
+            .eq('user_id', userId)
+            .in('status', [SESSION_STATUSES.ACTIVE, SESSION_STATUSES.PAUSED])
+            .order('updated_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        return data ? this.get(userId, data.id) : null;
+    }
+
+    currentCard(session) {
+        return session.cards[session.position] || null;
+    }
+
+    // What the client sees of a card; the answer stays server-side
+    cardView(card) {
+        return card ? { vocabularyId: card.vocabularyId, direction: card.direction, exercise: card.exercise } : null;
+    }
+
+    // Speed round options are stored without `isCorrect`
+    hideCorrectOption(exercise) {
+        const correct = exercise.options.find(option => option.isCorrect);
+
+        return {
+            exercise: { ...exercise, options: exercise.options.map(({ isCorrect, ...option }) => option) },
+            correctOptionId: correct.id
+        };
+    }
+
+    // Typed answers (fill-in-blank, spelling), reordered tokens
+    // (sentence-building) and speed round options are graded here; other
+    // cards carry the user's self-rated performance and/or whether they were
+    // right (`correct`), from which the rating can be derived
+    async answer(session, { performance, correct, responseTime, answer, tokens, optionId }) {
+        const card = this.currentCard(session);
+
+        const grade = this.grade(card, { answer, tokens, optionId });
+        // Option cards are only scored from the chosen option, never from a
+        // client-sent rating
+        if (card.correctOptionId && !grade) {
+            throw new Error('Speed round cards must be answered with an option');
+        }
+        if (grade) {
+            performance = grade.quality;
+            // Options are only right or wrong; the response time can refine that
+            correct = card.correctOptionId ? grade.correct : undefined;
+        }
+
+        let points = null;
+        if (session.timeLimitMs) {
+            responseTime = speedRound.responseTime(session, responseTime);
+            points = speedRound.points(grade ? grade.correct : performance > 0, responseTime);
+        }
+
+        const result = await reviewService.recordReview(session.userId, {
+            vocabularyId: card.vocabularyId,
+            performance,
+            correct,
+            responseTime,
+            direction: card.direction,
+            exerciseType: card.exercise.type
+        });
+
+        this.recordAnswer(session, { performance: result.quality, responseTime, lapsed: result.lapsed, points });
+        await this.save(session);
+
+        return { ...result, ...(grade && { grade }), ...(points !== null && { points }) };
+    }
+
+    // Grade of a server-graded card, with the expected answer; null when the
+    // card is self-rated or nothing was submitted for it
+    grade(card, { answer, tokens, optionId }) {
+        if (card.correctOptionId) {
+            if (optionId === undefined) return null;
+
+            const correct = optionId === card.correctOptionId;
+            return { correct, quality: correct ? 2 : 0, answer: card.correctOptionId };
+        }
+
+        switch (card.exercise.type) {
+            case 'fill-in-blank':
+                return answer !== undefined ? { ...answerChecker.check(answer, card.word), answer: card.word } : null;
+            case 'spelling':
+                return answer !== undefined ? { ...answerChecker.checkSpelling(answer, card.word), answer: card.word } : null;
+            case 'sentence-building':
+                return tokens !== undefined ? { ...sentenceBuilder.check(tokens, card.sentence), answer: card.sentence } : null;
+            default:
+                return null;
+        }
+    }
+
+    recordAnswer(session, { performance, responseTime = null, lapsed = false, points = null }, now = new Date()) {
+        const card = this.currentCard(session);
+
+        session.answers.push({
+            vocabularyId: card.vocabularyId,
+            word: card.word,
+            performance,
+            correct: performance > 0,
+            lapsed,
+            responseTime,
+            ...(points !== null && { points }),
+            answeredAt: now.toISOString()
+        });
+        session.position++;
+
+        return session;
+    }
+
+    pause(session, now = new Date()) {
+        session.activeMs = this.elapsed(session, now);
+        session.resumedAt = null;
+        session.status = SESSION_STATUSES.PAUSED;
+        return session;
+    }
+
+    resume(session, now = new Date()) {
+        session.resumedAt = now.toISOString();
+        session.status = SESSION_STATUSES.ACTIVE;
+        return session;
+    }
+
+    finish(session, now = new Date()) {
+        // A speed round lasts no longer than its time limit
+        const elapsed = this.elapsed(session, now);
+        session.activeMs = session.timeLimitMs ? Math.min(elapsed, session.timeLimitMs) : elapsed;
+        session.resumedAt = null;
+        session.status = SESSION_STATUSES.FINISHED;
+        session.finishedAt = now.toISOString();
+        session.summary = this.summarize(session);
+        return session;
+    }
+
+    // Finish and save a session; a speed round also updates the personal best
+    async close(session, now = new Date()) {
+        this.finish(session, now);
+
+        if (session.timeLimitMs) {
+            session.summary.personalBest = await speedRound.recordBest(session.userId, {
+                listId: session.listId,
+                durationSeconds: session.timeLimitMs / 1000,
+                sessionId: session.id,
+                summary: session.summary
+            });
+        }
+
+        return this.save(session);
+    }
+
+    // Time spent in the session, not counting pauses
+    elapsed(session, now = new Date()) {
+        const running = session.resumedAt ? now - new Date(session.resumedAt) : 0;
+        return session.activeMs + Math.max(running, 0);
+    }
+
+    summarize(session) {
+        const answered = session.answers.length;
+        const correct = session.answers.filter(answer => answer.correct).length;
+        const timed = session.answers.filter(answer => answer.responseTime != null);
+
+        return {
+            mode: session.mode,
+            total: session.cards.length,
+            answered,
+            skipped: session.cards.length - answered,
+            correct,
+            accuracy: answered > 0 ? Math.round((correct / answered) * 100) : 0,
+            durationMs: session.activeMs,
+            averageResponseTime: timed.length > 0
+                ? Math.round(timed.reduce((sum, answer) => sum + answer.responseTime, 0) / timed.length)
+                : null,
+            lapsedWords: session.answers
+                .filter(answer => answer.lapsed)
+                .map(({ vocabularyId, word }) => ({ vocabularyId, word })),
+            ...(session.timeLimitMs && {
+                score: speedRound.score(session.answers),
+                durationSeconds: session.timeLimitMs / 1000
+            })
+        };
+    }
+
+    // Client view: progress and the current card, without the full card list
+    toView(session) {
+        const { cards, ...rest } = session;
+
+        return {
+            ...rest,
+            total: cards.length,
+            remaining: cards.length - session.position,
+            elapsedMs: this.elapsed(session),
+            ...(session.timeLimitMs && { remainingMs: speedRound.remainingMs(session) }),
+            currentCard: session.status === SESSION_STATUSES.FINISHED ? null : this.cardView(this.currentCard(session))
+        };
+    }
+
+    async save(session) {
+        session.updatedAt = new Date().toISOString();
+
+        await cacheService.set(this.cacheKey(session.id), session, SESSION_TTL);
+        if (session.status === SESSION_STATUSES.FINISHED) {
+            await cacheService.del(this.activeKey(session.userId));
+        } else {
+            await cacheService.set(this.activeKey(session.userId), session.id, SESSION_TTL);
+        }
+
+        const { error } = await supabase
+            .from('review_sessions')
+            .upsert({
+                id: session.id,
+                user_id: session.userId,
+                mode: session.mode,
+                status: session.status,
+                list_id: session.listId,
+                state: session,
+                summary: session.summary,
+                started_at: session.startedAt,
+                updated_at: session.updatedAt,
+                finished_at: session.finishedAt
+            });
+
+        if (error) throw error;
+        return session;
+    }
+
+    cacheKey(sessionId) {
+        return `review_session:${sessionId}`;
+    }
+
+    activeKey(userId) {
+        return `review_session:active:${userId}`;
+    }
+}
+
+module.exports = new ReviewSessionService();
+module.exports.SESSION_STATUSES = SESSION_STATUSES;
+module.exports.SESSION_MODES = SESSION_MODES;
+module.exports.SPEED_ROUND = SPEED_ROUND;
@@ -0,0 +1,289 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/database');
+const spacedRepetition = require('./spacedRepetition');
+const reviewQueue = require('./reviewQueue');
+const reviewService = require('./reviewService');
+const { generateReviewSyncToken } = require('../utils/jwtHelper');
+
+const BATCH_TTL_MS = 7 * 24 * 60 * 60 * 1000; // matches the token expiry
+// Device clocks drift; events slightly in the future are still accepted
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+// A claim still 'processing' after this long was left by a crashed upload
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+const SYNC_STATUSES = {
+    PROCESSING: 'processing',
+    APPLIED: 'applied',       // replayed onto the card
+    MERGED: 'merged',         // replayed after reviews made on another device
+    SUPERSEDED: 'superseded', // older than the card's latest review; not replayed
+    REJECTED: 'rejected',     // invalid event
+    DUPLICATE: 'duplicate'    // already processed in an earlier upload
+};
+
+// Offline review for mobile clients. A client downloads a signed batch of
+// due cards, reviews them offline, then uploads timestamped review events.
+// Events are replayed through the scheduler in chronological order. When
+// the same card was reviewed on another device meanwhile, the most recent
+// review wins: newer offline events are replayed on top of it, older ones
+// are kept out of the schedule. Every event is processed once per event ID.
+class ReviewSyncService {
+    async createBatch(userId, limit = 100, now = new Date()) {
+        const { queue } = await reviewQueue.getQueue(userId, limit);
+
+        const cards = queue
+            .filter(item => item.vocabulary)
+            .map(item => ({
+                vocabularyId: item.vocabularyId,
+                direction: item.direction,
+                exerciseType: item.exerciseType,
+                type: item.type,
+                nextReviewDate: item.nextReviewDate,
+                scheduling: item.progress ? spacedRepetition.toCardState(item.progress) : null,
+                vocabulary: item.vocabulary
+            }));
+
+        const batchId = uuidv4();
+        const token = generateReviewSyncToken({
+            batchId,
+            userId,
+            issuedAt: now.toISOString(),
+            cards: cards.map(card => this.cardId(card.vocabularyId, card.direction))
+        });
+
+        return {
+            batchId,
+            issuedAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + BATCH_TTL_MS).toISOString(),
+            cards,
+            token
+        };
+    }
+
+    // The batch a token was issued for, or null if it is invalid, expired or
+    // belongs to someone else
+    verifyBatch(token, userId) {
+        try {
+            const batch = jwt.verify(token, process.env.JWT_SECRET || 'test-secret');
+            return batch.type === 'review_sync' && batch.userId === userId ? batch : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async sync(userId, { token, events }, now = new Date()) {
+        const batch = this.verifyBatch(token, userId);
+        if (!batch) return null;
+
+        const config = await spacedRepetition.getSchedulingConfig(userId);
+        const processed = await this.getProcessedEvents(userId, batch.batchId);
+
+        // Reviews this batch already wrote are not conflicts
+        const ownReviews = new Set(
+            [...processed.values()]
+                .filter(row => row.status === SYNC_STATUSES.APPLIED || row.status === SYNC_STATUSES.MERGED)
+                .map(row => Date.parse(row.reviewed_at))
+        );
+
+        const results = [];
+        for (const event of this.orderEvents(events)) {
+            const previous = processed.get(event.eventId);
+            if (previous && !this.isStale(previous, now)) {
+                results.push({ eventId: event.eventId, status: SYNC_STATUSES.DUPLICATE, previousStatus: previous.status, ...previous.result });
+                continue;
+            }
+
+            const result = await this.applyEvent(userId, batch, config, event, { ownReviews, now });
+            if (result.status === SYNC_STATUSES.APPLIED || result.status === SYNC_STATUSES.MERGED) {
+                ownReviews.add(Date.parse(event.reviewedAt));
+            }
+            results.push(result);
+        }
+
+        const counts = {};
+        results.forEach(result => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+        });
+
+        return { batchId: batch.batchId, results, counts };
+    }
+
+    async applyEvent(userId, batch, config, event, { ownReviews, now }) {
+        const reason = this.validateEvent(event, batch, now);
+        const claim = await this.claim(userId, batch.batchId, event, reason, now);
+        if (!claim) {
+            return { eventId: event.eventId, status: SYNC_STATUSES.DUPLICATE };
+        }
+        if (reason) {
+            return { eventId: event.eventId, status: SYNC_STATUSES.REJECTED, reason };
+        }
+
+        try {
+            const cardKey = spacedRepetition.cardKey(config, event.direction, event.exerciseType);
+            const lastReviewedAt = await this.getLastReviewedAt(userId, event.vocabularyId, cardKey);
+            const status = this.resolve(event, lastReviewedAt, { issuedAt: batch.issuedAt, ownReviews });
+
+            let result = { lastReviewedAt };
+            if (status !== SYNC_STATUSES.SUPERSEDED) {
+                const { lapsed, ...review } = await reviewService.recordReview(userId, {
+                    vocabularyId: event.vocabularyId,
+                    performance: event.performance,
+                    correct: event.correct,
+                    responseTime: event.responseTime,
+                    direction: event.direction,
+                    exerciseType: event.exerciseType,
+                    reviewedAt: event.reviewedAt
+                });
+                result = review;
+            }
+
+            await this.complete(userId, claim, status, result);
+            return { eventId: event.eventId, status, ...result };
+        } catch (error) {
+            // Let a retried upload process the event again
+            await this.release(userId, claim);
+            throw error;
+        }
+    }
+
+    // Why an event cannot be replayed, or null
+    validateEvent(event, batch, now = new Date()) {
+        const reviewedAt = Date.parse(event.reviewedAt);
+
+        if (!batch.cards.includes(this.cardId(event.vocabularyId, event.direction))) return 'card_not_in_batch';
+        if (event.performance === undefined && event.correct === undefined) return 'missing_rating';
+        if (Number.isNaN(reviewedAt) || reviewedAt < Date.parse(batch.issuedAt)) return 'invalid_time';
+        if (reviewedAt > now.getTime() + CLOCK_SKEW_MS) return 'invalid_time';
+
+        return null;
+    }
+
+    // Most recent review wins. A card reviewed elsewhere since the batch was
+    // issued is a conflict; the offline event is replayed on top of that
+    // review only if it happened later.
+    resolve(event, lastReviewedAt, { issuedAt, ownReviews = new Set() }) {
+        const reviewedAt = Date.parse(event.reviewedAt);
+        const last = lastReviewedAt ? Date.parse(lastReviewedAt) : null;
+
+        if (last !== null && reviewedAt <= last) return SYNC_STATUSES.SUPERSEDED;
+        if (last !== null && last > Date.parse(issuedAt) && !ownReviews.has(last)) return SYNC_STATUSES.MERGED;
+
+        return SYNC_STATUSES.APPLIED;
+    }
+
+    // Chronological, with the event ID as a stable tie-breaker
+    orderEvents(events) {
+        return [...events].sort((a, b) =>
+            Date.parse(a.reviewedAt) - Date.parse(b.reviewedAt) || a.eventId.localeCompare(b.eventId)
+        );
+    }
+
+    cardId(vocabularyId, direction) {
+        return `${vocabularyId}:${direction || 'forward'}`;
+    }
+
+    async getProcessedEvents(userId, batchId) {
+        const { data, error } = await supabase
+            .from('review_sync_events')
+            .select('event_id, status, result, reviewed_at, claimed_at')
+            .eq('user_id', userId)
+            .eq('batch_id', batchId);
+
+        if (error) throw error;
+        return new Map((data || []).map(row => [row.event_id, row]));
+    }
+
+    async getLastReviewedAt(userId, vocabularyId, cardKey) {
+        const { data, error } = await supabase
+            .from('user_vocabulary')
+            .select('last_review_date')
+            .eq('user_id', userId)
+            .eq('vocabulary_id', vocabularyId)
+            .eq('direction', cardKey.direction)
+            .eq('exercise_type', cardKey.exercise_type)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data?.last_review_date || null;
+    }
+
+    // Record the event before replaying it; null when another upload
+    // already did (the (user_id, event_id) key makes this atomic), unless
+    // that upload crashed and left its claim stale
+    async claim(userId, batchId, event, reason, now = new Date()) {
+        const row = {
+            batch_id: batchId,
+            vocabulary_id: event.vocabularyId,
+            status: reason ? SYNC_STATUSES.REJECTED : SYNC_STATUSES.PROCESSING,
+            result: reason ? { reason } : null,
+            reviewed_at: Number.isNaN(Date.parse(event.reviewedAt)) ? new Date() : event.reviewedAt
+        };
+
+        const { data, error } = await supabase
+            .from('review_sync_events')
+            .insert({ event_id: event.eventId, user_id: userId, ...row })
+            .select('event_id, claimed_at')
+            .single();
+
+        if (!error) return data;
+        if (error.code !== '23505') throw error;
+
+        const { data: previous, error: lookupError } = await supabase
+            .from('review_sync_events')
+            .select('event_id, status, claimed_at')
+            .eq('user_id', userId)
+            .eq('event_id', event.eventId)
+            .single();
+
+        if (lookupError) throw lookupError;
+        return this.isStale(previous, now) ? this.reclaim(userId, previous, row, now) : null;
+    }
+
+    isStale(event, now = new Date()) {
+        return event.status === SYNC_STATUSES.PROCESSING && now - new Date(event.claimed_at) > CLAIM_TIMEOUT_MS;
+    }
+
+    // Take over a stale claim. Its claimed_at doubles as the claim token:
+    // only one of several concurrent retries matches it, and the abandoned
+    // upload can no longer complete or release the event.
+    async reclaim(userId, previous, row, now = new Date()) {
+        const { data, error } = await supabase
+            .from('review_sync_events')
+            .update({ ...row, claimed_at: now.toISOString() })
+            .eq('user_id', userId)
+            .eq('event_id', previous.event_id)
+            .eq('status', SYNC_STATUSES.PROCESSING)
+            .eq('claimed_at', previous.claimed_at)
+            .select('event_id, claimed_at')
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async complete(userId, claim, status, result) {
+        const { error } = await supabase
+            .from('review_sync_events')
+            .update({ status, result, processed_at: new Date() })
+            .eq('user_id', userId)
+            .eq('event_id', claim.event_id)
+            .eq('claimed_at', claim.claimed_at);
+
+        if (error) throw error;
+    }
+
+    async release(userId, claim) {
+        const { error } = await supabase
+            .from('review_sync_events')
+            .delete()
+            .eq('user_id', userId)
+            .eq('event_id', claim.event_id)
+            .eq('status', SYNC_STATUSES.PROCESSING)
+            .eq('claimed_at', claim.claimed_at);
+
+        if (error) console.error('Release sync event error:', error);
+    }
+}
+
+module.exports = new ReviewSyncService();
+module.exports.SYNC_STATUSES = SYNC_STATUSES;
+module.exports.CLAIM_TIMEOUT_MS = CLAIM_TIMEOUT_MS;
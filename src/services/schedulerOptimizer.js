@@ -0,0 +1,262 @@
+const supabase = require('../config/database');
+const cacheService = require('./CacheService');
+const fsrsScheduler = require('./schedulers/fsrsScheduler');
+
+// Reviews needed before personalized parameters are meaningful
+const MIN_REVIEWS = 200;
+const PAGE_SIZE = 1000;
+// Most recent reviews a fit requested from the API is run on
+const MAX_REQUEST_REVIEWS = 10000;
+
+// Allowed range for each FSRS parameter while fitting
+const PARAMETER_BOUNDS = [
+    [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],
+    [1, 10], [0.1, 4], [0.1, 4], [0, 0.75],
+    [0, 4.5], [0, 0.8], [0.001, 3.5], [0.001, 5],
+    [0.001, 0.25], [0.001, 0.9], [0, 4], [0, 1], [1, 6]
+];
+
+// Fits per-user FSRS parameters to review_history by minimizing the log-loss
+// of predicted recall against actual outcomes
+class SchedulerOptimizer {
+    constructor() {
+        // Only FSRS reads fitted parameters
+        this.scheduler = fsrsScheduler.name;
+        this.minReviews = MIN_REVIEWS;
+        this.maxPasses = 20;
+        this.initialStep = 0.2;
+        this.minStep = 0.005;
+    }
+
+    // Stored parameters for a user, or null when never optimized
+    async getParameters(userId) {
+        const cacheKey = `scheduler_params:${userId}`;
+        const cached = await cacheService.get(cacheKey);
+        if (cached) return cached;
+
+        const { data, error } = await supabase
+            .from('user_scheduler_params')
+            .select('*')
+            .eq('user_id', userId)
+            .single();
+
+        if (error && error.code !== 'PGRST116') throw error;
+
+        if (data) {
+            await cacheService.set(cacheKey, data);
+        }
+
+        return data || null;
+    }
+
+    async countReviews(userId) {
+        const { count, error } = await supabase
+            .from('review_history')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId);
+
+        if (error) throw error;
+        return count || 0;
+    }
+
+    // Chronological review history; with `maxReviews`, only the most recent
+    async getReviewHistory(userId, maxReviews = Infinity) {
+        const history = [];
+
+        for (let offset = 0; offset < maxReviews; offset += PAGE_SIZE) {
+            const { data, error } = await supabase
+                .from('review_history')
+                .select('vocabulary_id, direction, exercise_type, quality, previous_interval, new_interval, response_time, reviewed_at')
+                .eq('user_id', userId)
+                .order('reviewed_at', { ascending: false })
+                .range(offset, Math.min(offset + PAGE_SIZE, maxReviews) - 1);
+
+            if (error) throw error;
+
+            history.push(...(data || []));
+            if (!data || data.length < PAGE_SIZE) break;
+        }
+
+        return history.reverse();
+    }
+
+    // Fit and store parameters for one user. Requests from the API pass
+    // `maxReviews` to bound the work done on the server's event loop.
+    async optimizeForUser(userId, { maxReviews } = {}) {
+        const history = await this.getReviewHistory(userId, maxReviews);
+
+        if (history.length < this.minReviews) {
+            throw new Error('Not enough review history');
+        }
+
+        const sequences = this.buildSequences(history);
+        const result = await this.fit(sequences);
+
+        const record = {
+            user_id: userId,
+            scheduler: this.scheduler,
+            parameters: result.parameters,
+            review_count: history.length,
+            log_loss_before: result.logLossBefore,
+            log_loss_after: result.logLossAfter,
+            predicted_retention: result.predictedRetention,
+            actual_retention: result.actualRetention,
+            optimized_at: new Date()
+        };
+
+        const { data, error } = await supabase
+            .from('user_scheduler_params')
+            .upsert(record)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await cacheService.del(`scheduler_params:${userId}`);
+
+        return data || record;
+    }
+
+    // Batch job: optimize every user with enough history
+    async optimizeEligibleUsers() {
+        const { data: users, error } = await supabase
+            .from('users')
+            .select('id')
+            .eq('status', 'active');
+
+        if (error) throw error;
+
+        const results = { optimized: 0, skipped: 0, failed: 0 };
+
+        for (const user of users || []) {
+            try {
+                if (await this.countReviews(user.id) < this.minReviews) {
+                    results.skipped++;
+                    continue;
+                }
+
+                await this.optimizeForUser(user.id);
+                results.optimized++;
+            } catch (error) {
+                console.error(`Scheduler optimization error for user ${user.id}:`, error);
+                results.failed++;
+            }
+        }
+
+        return results;
+    }
+
+    // Group review_history rows into chronological per-card sequences
+    buildSequences(history) {
+        const byCard = new Map();
+
+        history.forEach(review => {
+            // Forward and reverse cards of a word have separate memory states
+            const key = `${review.vocabulary_id}:${review.direction || 'forward'}:${review.exercise_type || 'any'}`;
+            if (!byCard.has(key)) {
+                byCard.set(key, []);
+            }
+            byCard.get(key).push({
+                quality: review.quality,
+                reviewedAt: new Date(review.reviewed_at)
+            });
+        });
+
+        return [...byCard.values()].map(reviews =>
+            reviews.sort((a, b) => a.reviewedAt - b.reviewedAt)
+        );
+    }
+
+    // Coordinate descent over the FSRS parameters. Yields to the event loop
+    // after each parameter so other requests are served while it runs.
+    async fit(sequences, initial = fsrsScheduler.defaultParameters) {
+        let best = [...initial];
+        const logLossBefore = this.logLoss(sequences, best);
+        let bestLoss = logLossBefore;
+        let step = this.initialStep;
+
+        for (let pass = 0; pass < this.maxPasses && step >= this.minStep; pass++) {
+            let improved = false;
+
+            for (let i = 0; i < best.length; i++) {
+                for (const direction of [1, -1]) {
+                    const candidate = [...best];
+                    const delta = direction * step * Math.max(Math.abs(best[i]), 0.01);
+                    candidate[i] = this.clampParameter(i, best[i] + delta);
+
+                    const loss = this.logLoss(sequences, candidate);
+                    if (loss < bestLoss) {
+                        best = candidate;
+                        bestLoss = loss;
+                        improved = true;
+                        break;
+                    }
+                }
+
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            if (!improved) step /= 2;
+        }
+
+        const evaluation = this.evaluate(sequences, best);
+
+        return {
+            parameters: best.map(value => Number(value.toFixed(4))),
+            logLossBefore: Number(logLossBefore.toFixed(4)),
+            logLossAfter: Number(bestLoss.toFixed(4)),
+            predictedRetention: Number(evaluation.predictedRetention.toFixed(4)),
+            actualRetention: Number(evaluation.actualRetention.toFixed(4))
+        };
+    }
+
+    logLoss(sequences, parameters) {
+        return this.evaluate(sequences, parameters).logLoss;
+    }
+
+    // Replay every card with the given parameters and compare the predicted
+    // recall probability with what actually happened
+    evaluate(sequences, parameters) {
+        let loss = 0;
+        let predicted = 0;
+        let recalled = 0;
+        let count = 0;
+
+        sequences.forEach(reviews => {
+            let card = { stability: null, difficulty: null, lastReviewDate: null };
+
+            reviews.forEach(review => {
+                if (card.stability) {
+                    const elapsedDays = fsrsScheduler.elapsedDays(card.lastReviewDate, review.reviewedAt);
+                    const retrievability = Math.min(
+                        Math.max(fsrsScheduler.retrievability(elapsedDays, card.stability), 1e-6),
+                        1 - 1e-6
+                    );
+                    const outcome = review.quality > 0 ? 1 : 0;
+
+                    loss -= outcome * Math.log(retrievability) + (1 - outcome) * Math.log(1 - retrievability);
+                    predicted += retrievability;
+                    recalled += outcome;
+                    count++;
+                }
+
+                const memory = fsrsScheduler.nextMemoryState(card, review.quality, review.reviewedAt, parameters);
+                card = { ...memory, lastReviewDate: review.reviewedAt };
+            });
+        });
+
+        return {
+            logLoss: count > 0 ? loss / count : 0,
+            predictedRetention: count > 0 ? predicted / count : 0,
+            actualRetention: count > 0 ? recalled / count : 0
+        };
+    }
+
+    clampParameter(index, value) {
+        const [min, max] = PARAMETER_BOUNDS[index];
+        return Math.min(Math.max(value, min), max);
+    }
+}
+
+module.exports = new SchedulerOptimizer();
+module.exports.MAX_REQUEST_REVIEWS = MAX_REQUEST_REVIEWS;
@@ -0,0 +1,140 @@
+// FSRS (Free Spaced Repetition Scheduler) v4.5
+// Models each card with a memory stability (days until recall probability
+// drops to 90%) and a difficulty (1-10), and derives the interval from the
+// retrievability we want the learner to have on the due date.
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_PARAMETERS = [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031,
+    1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+
+class FsrsScheduler {
+    constructor() {
+        this.name = 'fsrs';
+        this.defaultParameters = DEFAULT_PARAMETERS;
+        this.defaultRetention = 0.9;
+        this.maximumInterval = 36500;
+    }
+
+    // Performance ratings: 0 - Again, 1 - Hard, 2 - Good, 3 - Easy
+    schedule(card, performance, options = {}) {
+        const now = options.now || new Date();
+        const w = options.parameters || this.defaultParameters;
+        const retention = options.desiredRetention || this.defaultRetention;
+        let { repetitions = 0 } = card;
+
+        const memory = this.nextMemoryState(card, performance, now, w);
+
+        repetitions = performance === 0 ? 0 : repetitions + 1;
+        const interval = this.nextInterval(memory.stability, retention);
+
+        const nextReviewDate = new Date(now);
+        nextReviewDate.setDate(nextReviewDate.getDate() + interval);
+
+        return {
+            easinessFactor: card.easinessFactor ?? 2.5,
+            repetitions,
+            interval,
+            nextReviewDate,
+            stability: memory.stability,
+            difficulty: memory.difficulty
+        };
+    }
+
+    // Memory state after reviewing `card` with `performance` at `now`
+    nextMemoryState(card, performance, now, w = this.defaultParameters) {
+        const grade = performance + 1; // FSRS grades are 1-4
+
+        if (!card.stability || !card.difficulty) {
+            return {
+                stability: this.initialStability(grade, w),
+                difficulty: this.initialDifficulty(grade, w)
+            };
+        }
+
+        const elapsedDays = this.elapsedDays(card.lastReviewDate, now);
+        const retrievability = this.retrievability(elapsedDays, card.stability);
+
+        return {
+            stability: grade === 1
+                ? this.forgetStability(card.difficulty, card.stability, retrievability, w)
+                : this.recallStability(card.difficulty, card.stability, retrievability, grade, w),
+            difficulty: this.nextDifficulty(card.difficulty, grade, w)
+        };
+    }
+
+    // Rebuild a card's memory state from its review_history rows
+    replay(history, w = this.defaultParameters) {
+        const sorted = [...history].sort((a, b) => new Date(a.reviewed_at) - new Date(b.reviewed_at));
+        let state = { stability: null, difficulty: null, lastReviewDate: null };
+
+        for (const review of sorted) {
+            const reviewedAt = new Date(review.reviewed_at);
+            const memory = this.nextMemoryState(state, review.quality, reviewedAt, w);
+            state = { ...memory, lastReviewDate: reviewedAt };
+        }
+
+        return state;
+    }
+
+    // Probability of recalling a card `elapsedDays` after the last review
+    retrievability(elapsedDays, stability) {
+        return Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+    }
+
+    nextInterval(stability, retention = this.defaultRetention) {
+        const interval = stability / FACTOR * (Math.pow(retention, 1 / DECAY) - 1);
+        return Math.min(Math.max(Math.round(interval), 1), this.maximumInterval);
+    }
+
+    initialStability(grade, w) {
+        return Math.max(w[grade - 1], 0.1);
+    }
+
+    initialDifficulty(grade, w) {
+        return this.clampDifficulty(w[4] - (grade - 3) * w[5]);
+    }
+
+    nextDifficulty(difficulty, grade, w) {
+        const next = difficulty - w[6] * (grade - 3);
+        // Mean reversion towards the difficulty of a "Good" first answer
+        return this.clampDifficulty(w[7] * this.initialDifficulty(3, w) + (1 - w[7]) * next);
+    }
+
+    recallStability(difficulty, stability, retrievability, grade, w) {
+        const hardPenalty = grade === 2 ? w[15] : 1;
+        const easyBonus = grade === 4 ? w[16] : 1;
+
+        return stability * (1 + Math.exp(w[8]) *
+            (11 - difficulty) *
+            Math.pow(stability, -w[9]) *
+            (Math.exp((1 - retrievability) * w[10]) - 1) *
+            hardPenalty *
+            easyBonus);
+    }
+
+    forgetStability(difficulty, stability, retrievability, w) {
+        const next = w[11] *
+            Math.pow(difficulty, -w[12]) *
+            (Math.pow(stability + 1, w[13]) - 1) *
+            Math.exp((1 - retrievability) * w[14]);
+
+        // A lapse never makes the memory more stable than it was
+        return Math.min(next, stability);
+    }
+
+    clampDifficulty(difficulty) {
+        return Math.min(Math.max(difficulty, 1), 10);
+    }
+
+    elapsedDays(lastReviewDate, now) {
+        if (!lastReviewDate) return 0;
+        return Math.max((new Date(now) - new Date(lastReviewDate)) / DAY_MS, 0);
+    }
+}
+
+module.exports = new FsrsScheduler();
@@ -0,0 +1,19 @@
+const sm2Scheduler = require('./sm2Scheduler');
+const fsrsScheduler = require('./fsrsScheduler');
+
+// Registered schedulers, keyed by the value stored in user_settings.scheduler
+const schedulers = {
+    [sm2Scheduler.name]: sm2Scheduler,
+    [fsrsScheduler.name]: fsrsScheduler
+};
+
+const DEFAULT_SCHEDULER = sm2Scheduler.name;
+
+const getScheduler = (name) => schedulers[name] || schedulers[DEFAULT_SCHEDULER];
+
+module.exports = {
+    schedulers,
+    DEFAULT_SCHEDULER,
+    SCHEDULER_NAMES: Object.keys(schedulers),
+    getScheduler
+};
@@ -0,0 +1,68 @@
+// Classic SM-2 scheduler
+// SM-2 intervals assume roughly 90% retention; other retention targets scale
+// the intervals the same way Anki's interval modifier does.
+const BASE_RETENTION = 0.9;
+
+class Sm2Scheduler {
+    constructor() {
+        this.name = 'sm2';
+    }
+
+    // Performance ratings: 0 - Again, 1 - Hard, 2 - Good, 3 - Easy
+    schedule(card, performance, options = {}) {
+        const now = options.now || new Date();
+        const modifier = this.intervalModifier(options.desiredRetention);
+        let { easinessFactor = 2.5, repetitions = 0, interval = 1 } = card;
+        
+        // Update easiness factor
+        easinessFactor = this.calculateEasinessFactor(easinessFactor, performance);
+        
+        // Calculate new interval
+        if (performance === 0) {
+            // Failed - reset
+            repetitions = 0;
+            interval = 1;
+        } else if (repetitions === 0) {
+            // First successful review
+            interval = 1;
+            repetitions = 1;
+        } else if (repetitions === 1) {
+            // Second successful review
+            interval = Math.max(1, Math.round(6 * modifier));
+            repetitions = 2;
+        } else {
+            // Subsequent reviews
+            interval = Math.max(1, Math.round(interval * easinessFactor * modifier));
+            repetitions += 1;
+        }
+        
+        // Calculate next review date
+        const nextReviewDate = new Date(now);
+        nextReviewDate.setDate(nextReviewDate.getDate() + interval);
+        
+        return {
+            easinessFactor,
+            repetitions,
+            interval,
+            nextReviewDate,
+            stability: card.stability ?? null,
+            difficulty: card.difficulty ?? null
+        };
+    }
+    
+    // Interval multiplier for a retention target: ln(target) / ln(0.9)
+    intervalModifier(desiredRetention) {
+        if (!desiredRetention || desiredRetention === BASE_RETENTION) return 1;
+        return Math.log(desiredRetention) / Math.log(BASE_RETENTION);
+    }
+    
+    calculateEasinessFactor(currentEF, performance) {
+        // SM-2 formula for easiness factor
+        const newEF = currentEF + (0.1 - (3 - performance) * (0.08 + (3 - performance) * 0.02));
+        
+        // Minimum EF is 1.3
+        return Math.max(1.3, newEF);
+    }
+}
+
+module.exports = new Sm2Scheduler();
@@ -0,0 +1,155 @@
+const answerChecker = require('./answerChecker');
+
+const MIN_TOKENS = 3;
+// Time and frequency adverbials that read naturally at either end of a sentence
+const MOVABLE_WORDS = [
+    'yesterday', 'today', 'tomorrow', 'tonight', 'now', 'sometimes', 'usually',
+    'often', 'recently', 'finally', 'suddenly', 'later', 'soon', 'then'
+];
+const MOVABLE_MODIFIERS = ['last', 'next', 'every', 'this'];
+const TIME_NOUNS = ['day', 'week', 'month', 'year', 'morning', 'afternoon', 'evening', 'night', 'weekend', 'summer', 'winter'];
+
+// Word-order exercises built from a vocabulary item's example sentence.
+// Answers are graded against the sentence and its equivalent orderings:
+// the two clauses around a comma swapped, or a time adverbial moved
+// between the start and the end.
+class SentenceBuilder {
+    canBuild(sentence) {
+        return !!sentence && this.tokenize(sentence).tokens.length >= MIN_TOKENS;
+    }
+
+    // Words of the sentence without punctuation; `clauseBreaks` are the token
+    // indexes that ended with a comma
+    tokenize(sentence) {
+        const raw = String(sentence || '').trim().split(/\s+/).filter(Boolean);
+        const ending = (raw.length ? raw[raw.length - 1].match(/[.!?]+$/) : null)?.[0] || '';
+        const tokens = [];
+        const clauseBreaks = [];
+
+        raw.forEach(part => {
+            const text = part.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+            if (!text) return;
+            if (/,$/.test(part)) clauseBreaks.push(tokens.length);
+            tokens.push(text);
+        });
+
+        return { tokens, clauseBreaks, ending };
+    }
+
+    // Shuffled tokens for the learner, never in the original order
+    scramble(sentence) {
+        const { tokens, ending } = this.tokenize(sentence);
+        const display = tokens.map((token, i) => (i === 0 && token !== 'I' ? token.charAt(0).toLowerCase() + token.slice(1) : token));
+
+        let shuffled = [...display];
+        for (let attempt = 0; attempt < 10; attempt++) {
+            for (let i = shuffled.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+            if (!this.sameOrder(shuffled.map(t => this.normalize(t)), display.map(t => this.normalize(t)))) break;
+        }
+
+        return { tokens: shuffled, ending };
+    }
+
+    acceptedOrderings(sentence) {
+        const { tokens, clauseBreaks } = this.tokenize(sentence);
+        const base = tokens.map(token => this.normalize(token));
+        const orderings = [base];
+
+        clauseBreaks.forEach(index => {
+            const first = base.slice(0, index + 1);
+            const second = base.slice(index + 1);
+            if (first.length >= 2 && second.length >= 2) {
+                orderings.push([...second, ...first]);
+            }
+        });
+
+        const leading = this.adverbialLength(base);
+        if (leading > 0 && leading < base.length) {
+            orderings.push([...base.slice(leading), ...base.slice(0, leading)]);
+        }
+
+        const trailing = this.adverbialLength([...base].reverse(), true);
+        if (trailing > 0 && trailing < base.length) {
+            orderings.push([...base.slice(-trailing), ...base.slice(0, -trailing)]);
+        }
+
+        return orderings;
+    }
+
+    // Length of a movable time adverbial at the start of `tokens`
+    // (`reversed` when looking at the end of the sentence)
+    adverbialLength(tokens, reversed = false) {
+        if (MOVABLE_WORDS.includes(tokens[0])) return 1;
+
+        const [modifier, noun] = reversed ? [tokens[1], tokens[0]] : [tokens[0], tokens[1]];
+        if (MOVABLE_MODIFIERS.includes(modifier) && TIME_NOUNS.includes(noun)) return 2;
+
+        return 0;
+    }
+
+    check(answerTokens, sentence) {
+        const given = answerTokens.map(token => this.normalize(token)).filter(Boolean);
+        const orderings = this.acceptedOrderings(sentence);
+        const [base] = orderings;
+
+        if (!this.isPermutation(given, base)) {
+            return { correct: false, match: 'wrong', distance: null, quality: 0, feedback: [] };
+        }
+
+        // Closest accepted ordering by adjacent swaps
+        const ranked = orderings
+            .map(ordering => ({ ordering, distance: this.swapDistance(given, ordering) }))
+            .sort((a, b) => a.distance - b.distance);
+        const { ordering: closest, distance } = ranked[0];
+
+        let match = 'wrong';
+        if (distance === 0) match = this.sameOrder(closest, base) ? 'exact' : 'equivalent';
+        else if (distance === 1) match = 'close';
+
+        const quality = { exact: 2, equivalent: 2, close: 1, wrong: 0 }[match];
+
+        return {
+            correct: quality > 0,
+            match,
+            distance,
+            quality,
+            feedback: given.map((token, i) => ({ token, correct: token === closest[i] }))
+        };
+    }
+
+    // Number of adjacent swaps turning `given` into `target` (inversions).
+    // Repeated words are matched to their occurrences in order.
+    swapDistance(given, target) {
+        const used = new Set();
+        const positions = given.map(token => {
+            const index = target.findIndex((candidate, i) => candidate === token && !used.has(i));
+            used.add(index);
+            return index;
+        });
+
+        let inversions = 0;
+        for (let i = 0; i < positions.length; i++) {
+            for (let j = i + 1; j < positions.length; j++) {
+                if (positions[i] > positions[j]) inversions++;
+            }
+        }
+        return inversions;
+    }
+
+    isPermutation(a, b) {
+        return a.length === b.length && this.sameOrder([...a].sort(), [...b].sort());
+    }
+
+    sameOrder(a, b) {
+        return a.length === b.length && a.every((token, i) => token === b[i]);
+    }
+
+    normalize(token) {
+        return answerChecker.normalize(token);
+    }
+}
+
+module.exports = new SentenceBuilder();
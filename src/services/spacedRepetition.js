@@ -1,52 +1,331 @@
-// SM-2 Algorithm implementation
+const { getScheduler, DEFAULT_SCHEDULER } = require('./schedulers');
+const sm2Scheduler = require('./schedulers/sm2Scheduler');
+const fsrsScheduler = require('./schedulers/fsrsScheduler');
+const { DEFAULT_TIMEZONE, DAY_MS, toDateKey } = require('../utils/dateHelper');
+
+const DEFAULT_RETENTION = 0.9;
+const DEFAULT_LEARNING_STEPS = [1, 10]; // minutes
+const DEFAULT_RELEARNING_STEPS = [10]; // minutes
+const DEFAULT_LEECH_THRESHOLD = 8;
+const DEFAULT_NEW_CARDS_PER_DAY = 20;
+const DEFAULT_REVIEWS_PER_DAY = 200;
+const MINUTE_MS = 60 * 1000;
+
+// Card states stored in user_vocabulary.state
+const CARD_STATES = {
+    NEW: 'new',
+    LEARNING: 'learning',
+    REVIEW: 'review',
+    RELEARNING: 'relearning'
+};
+
+// Card directions stored in user_vocabulary.direction
+const CARD_DIRECTIONS = {
+    FORWARD: 'forward', // term -> definition (recognition)
+    REVERSE: 'reverse'  // definition -> term (recall)
+};
+
+// Spaced repetition facade - delegates interval math to the user's scheduler
 class SpacedRepetitionService {
-    // Calculate next review date based on SM-2 algorithm
-    calculateNextReview(currentData, performance) {
+    constructor() {
+        // Learning cards due within this window are served in the current session
+        this.learnAheadMinutes = 20;
+    }
+    
+    // Calculate next review date with the selected scheduler (SM-2 by default).
+    // New and lapsed cards first go through intra-day learning steps (minutes)
+    // when options.learningSteps / options.relearningSteps are given.
+    calculateNextReview(currentData, performance, options = {}) {
         // Performance ratings: 
         // 0 - Again, 1 - Hard, 2 - Good, 3 - Easy
+        const card = this.toCardState(currentData);
+        const isLapse = performance === 0 && card.state === CARD_STATES.REVIEW;
+        
+        return {
+            ...this.scheduleCard(card, performance, options),
+            lapses: card.lapses + (isLapse ? 1 : 0)
+        };
+    }
+    
+    scheduleCard(card, performance, options) {
+        const scheduler = getScheduler(options.scheduler);
+        const now = options.now || new Date();
+        const learningSteps = options.learningSteps || [];
+        const relearningSteps = options.relearningSteps || [];
+        
+        if (card.state === CARD_STATES.NEW || card.state === CARD_STATES.LEARNING) {
+            const step = this.nextLearningStep(card.learningStep, performance, learningSteps);
+            if (step !== null) {
+                return this.stepResult(card, CARD_STATES.LEARNING, step, learningSteps, now, { interval: 0 });
+            }
+        }
+        
+        if (card.state === CARD_STATES.RELEARNING) {
+            const step = this.nextLearningStep(card.learningStep, performance, relearningSteps);
+            if (step !== null) {
+                return this.stepResult(card, CARD_STATES.RELEARNING, step, relearningSteps, now);
+            }
+            
+            // Graduate with the interval computed when the card lapsed
+            return this.graduateRelearning(card, performance, now);
+        }
+        
+        const result = { ...scheduler.schedule(card, performance, { ...options, now }), state: CARD_STATES.REVIEW, learningStep: 0 };
+        
+        // Lapsed review card - relearn before going back to its new interval
+        if (performance === 0 && card.state === CARD_STATES.REVIEW && relearningSteps.length > 0) {
+            return this.stepResult(result, CARD_STATES.RELEARNING, 0, relearningSteps, now, result);
+        }
+        
+        return result;
+    }
+    
+    // Days a review interval may be moved to without noticeably changing
+    // retention (same growth factors as Anki's interval fuzz)
+    getFuzzRange(interval) {
+        if (interval < 2.5) return [interval, interval];
+        
+        const fuzz = 1 +
+            0.15 * (Math.min(interval, 7) - 2.5) +
+            0.1 * Math.max(Math.min(interval, 20) - 7, 0) +
+            0.05 * Math.max(interval - 20, 0);
+            
+        return [
+            Math.max(2, Math.round(interval - fuzz)),
+            Math.min(Math.round(interval + fuzz), fsrsScheduler.maximumInterval)
+        ];
+    }
+    
+    // Move a review to the least loaded day within its fuzz range. `dailyLoad`
+    // maps YYYY-MM-DD (in options.timezone) to the number of cards already due;
+    // equally loaded days are picked at random, which doubles as plain fuzz.
+    balanceInterval(result, dailyLoad = {}, options = {}) {
+        if (result.state !== CARD_STATES.REVIEW) return result;
+        
+        const [min, max] = this.getFuzzRange(result.interval);
+        if (min === max) return result;
         
-        let { easinessFactor = 2.5, repetitions = 0, interval = 1 } = currentData;
-        
-        // Update easiness factor
-        easinessFactor = this.calculateEasinessFactor(easinessFactor, performance);
-        
-        // Calculate new interval
-        if (performance === 0) {
-            // Failed - reset
-            repetitions = 0;
-            interval = 1;
-        } else if (repetitions === 0) {
-            // First successful review
-            interval = 1;
-            repetitions = 1;
-        } else if (repetitions === 1) {
-            // Second successful review
-            interval = 6;
-            repetitions = 2;
-        } else {
-            // Subsequent reviews
-            interval = Math.round(interval * easinessFactor);
-            repetitions += 1;
+        const now = options.now || new Date();
+        const timezone = options.timezone || DEFAULT_TIMEZONE;
+        const candidates = [];
+        
+        for (let interval = min; interval <= max; interval++) {
+            const date = new Date(now.getTime() + interval * DAY_MS);
+            candidates.push({ interval, date, load: dailyLoad[toDateKey(date, timezone)] || 0 });
         }
         
-        // Calculate next review date
-        const nextReviewDate = new Date();
+        const lowest = Math.min(...candidates.map(c => c.load));
+        const leastLoaded = candidates.filter(c => c.load === lowest);
+        const pick = leastLoaded[Math.floor(Math.random() * leastLoaded.length)];
+        
+        return {
+            ...result,
+            interval: pick.interval,
+            nextReviewDate: pick.date
+        };
+    }
+    
+    // A card becomes a leech when its lapses reach the threshold, and is
+    // flagged again every half threshold after that (Anki's behaviour)
+    isLeech(lapses, threshold = DEFAULT_LEECH_THRESHOLD) {
+        if (!threshold || lapses < threshold) return false;
+        return (lapses - threshold) % Math.max(Math.ceil(threshold / 2), 1) === 0;
+    }
+    
+    // Index of the next learning step, or null when the card graduates
+    nextLearningStep(currentStep = 0, performance, steps) {
+        if (steps.length === 0 || performance === 3) return null;
+        if (performance === 0) return 0;
+        if (performance === 1) return Math.min(currentStep, steps.length - 1);
+        
+        const next = currentStep + 1;
+        return next < steps.length ? next : null;
+    }
+    
+    stepResult(card, state, step, steps, now, overrides = {}) {
+        return {
+            easinessFactor: card.easinessFactor ?? 2.5,
+            repetitions: card.repetitions ?? 0,
+            interval: card.interval ?? 1,
+            stability: card.stability ?? null,
+            difficulty: card.difficulty ?? null,
+            ...overrides,
+            state,
+            learningStep: step,
+            nextReviewDate: new Date(now.getTime() + steps[step] * MINUTE_MS)
+        };
+    }
+    
+    graduateRelearning(card, performance, now) {
+        const interval = Math.max(card.interval || 1, 1) + (performance === 3 ? 1 : 0);
+        const nextReviewDate = new Date(now);
         nextReviewDate.setDate(nextReviewDate.getDate() + interval);
         
         return {
-            easinessFactor,
-            repetitions,
+            easinessFactor: card.easinessFactor ?? 2.5,
+            repetitions: card.repetitions ?? 0,
             interval,
+            stability: card.stability ?? null,
+            difficulty: card.difficulty ?? null,
+            state: CARD_STATES.REVIEW,
+            learningStep: 0,
             nextReviewDate
         };
     }
     
     calculateEasinessFactor(currentEF, performance) {
-        // SM-2 formula for easiness factor
-        const newEF = currentEF + (0.1 - (3 - performance) * (0.08 + (3 - performance) * 0.02));
+        return sm2Scheduler.calculateEasinessFactor(currentEF, performance);
+    }
+    
+    // Normalize a user_vocabulary row (snake_case) into scheduler card state
+    toCardState(data = {}) {
+        const toNumber = (value) => (value === null || value === undefined ? undefined : Number(value));
         
-        // Minimum EF is 1.3
-        return Math.max(1.3, newEF);
+        return {
+            easinessFactor: toNumber(data.easinessFactor ?? data.easiness_factor),
+            repetitions: toNumber(data.repetitions),
+            interval: toNumber(data.interval),
+            stability: toNumber(data.stability),
+            difficulty: toNumber(data.difficulty),
+            lastReviewDate: data.lastReviewDate ?? data.last_review_date ?? null,
+            // Rows created before card states existed are new until first reviewed
+            state: data.state || ((data.lastReviewDate ?? data.last_review_date) ? CARD_STATES.REVIEW : CARD_STATES.NEW),
+            learningStep: toNumber(data.learningStep ?? data.learning_step) || 0,
+            lapses: toNumber(data.lapses) || 0
+        };
+    }
+    
+    // Map a scheduler result onto user_vocabulary columns
+    toProgressColumns(result) {
+        return {
+            easiness_factor: result.easinessFactor,
+            repetitions: result.repetitions,
+            interval: result.interval,
+            next_review_date: result.nextReviewDate,
+            stability: result.stability,
+            difficulty: result.difficulty,
+            state: result.state,
+            learning_step: result.learningStep,
+            lapses: result.lapses
+        };
+    }
+    
+    // Scheduler and retention target from user_settings, plus the user's
+    // fitted parameters when they have been optimized for that scheduler
+    async getSchedulingConfig(userId) {
+        const supabase = require('../config/database');
+        const schedulerOptimizer = require('./schedulerOptimizer');
+        
+        const { data, error } = await supabase
+            .from('user_settings')
+            .select('scheduler, desired_retention, learning_steps, relearning_steps, leech_threshold, leech_action, timezone, new_cards_per_day, reviews_per_day, queue_order, load_balancing, reverse_cards, schedule_by_exercise, auto_grade')
+            .eq('user_id', userId)
+            .single();
+            
+        if (error && error.code !== 'PGRST116') throw error;
+        
+        const scheduler = data?.scheduler || DEFAULT_SCHEDULER;
+        const fitted = await schedulerOptimizer.getParameters(userId);
+        
+        return {
+            scheduler,
+            desiredRetention: Number(data?.desired_retention) || DEFAULT_RETENTION,
+            learningSteps: data?.learning_steps || DEFAULT_LEARNING_STEPS,
+            relearningSteps: data?.relearning_steps || DEFAULT_RELEARNING_STEPS,
+            leechThreshold: data?.leech_threshold ?? DEFAULT_LEECH_THRESHOLD,
+            leechAction: data?.leech_action || 'tag',
+            timezone: data?.timezone || DEFAULT_TIMEZONE,
+            newCardsPerDay: data?.new_cards_per_day ?? DEFAULT_NEW_CARDS_PER_DAY,
+            reviewsPerDay: data?.reviews_per_day ?? DEFAULT_REVIEWS_PER_DAY,
+            queueOrder: data?.queue_order || 'due-first',
+            loadBalancing: data?.load_balancing ?? true,
+            reverseCards: data?.reverse_cards ?? false,
+            scheduleByExercise: data?.schedule_by_exercise ?? false,
+            autoGrade: data?.auto_grade ?? false,
+            parameters: fitted?.scheduler === scheduler ? fitted.parameters : undefined
+        };
+    }
+    
+    // Rebuild FSRS memory state from review_history for cards that were
+    // scheduled by SM-2 before the user switched schedulers
+    async getMemoryState(userId, vocabularyId, parameters, cardKey = this.cardKey()) {
+        const supabase = require('../config/database');
+        
+        let query = supabase
+            .from('review_history')
+            .select('quality, reviewed_at')
+            .eq('user_id', userId)
+            .eq('vocabulary_id', vocabularyId)
+            .eq('direction', cardKey.direction);
+            
+        if (cardKey.exercise_type !== 'any') {
+            query = query.eq('exercise_type', cardKey.exercise_type);
+        }
+        
+        const { data: history, error } = await query.order('reviewed_at', { ascending: true });
+            
+        if (error) throw error;
+        
+        return fsrsScheduler.replay(history || [], parameters);
+    }
+    
+    // Card state ready for the given scheduler; FSRS cards without a stored
+    // memory state are bootstrapped from their review history
+    async resolveCardState(userId, progress, config = {}) {
+        const card = this.toCardState(progress);
+        
+        if (config.scheduler !== fsrsScheduler.name || card.stability || !progress.total_reviews) {
+            return card;
+        }
+        
+        const memory = await this.getMemoryState(userId, progress.vocabulary_id, config.parameters, {
+            direction: progress.direction || CARD_DIRECTIONS.FORWARD,
+            exercise_type: progress.exercise_type || 'any'
+        });
+        return {
+            ...card,
+            stability: memory.stability,
+            difficulty: memory.difficulty,
+            lastReviewDate: memory.lastReviewDate || card.lastReviewDate
+        };
+    }
+    
+    // Which user_vocabulary card a review belongs to. Reverse cards and
+    // per-exercise cards only exist when the user has turned them on.
+    cardKey(config = {}, direction = CARD_DIRECTIONS.FORWARD, exerciseType = null) {
+        return {
+            direction: config.reverseCards ? direction : CARD_DIRECTIONS.FORWARD,
+            exercise_type: config.scheduleByExercise && exerciseType ? exerciseType : 'any'
+        };
+    }
+    
+    // Tell the user a word has become a leech and what they can do about it
+    async notifyLeech(userId, vocabularyId, lapses, suspended) {
+        const supabase = require('../config/database');
+        
+        try {
+            const { data: vocabulary } = await supabase
+                .from('vocabulary_items')
+                .select('word')
+                .eq('id', vocabularyId)
+                .single();
+                
+            const word = vocabulary?.word || 'này';
+            const suspendedNote = suspended ? ' Từ này đã được tạm dừng khỏi hàng đợi ôn tập.' : '';
+            
+            await supabase
+                .from('notifications')
+                .insert({
+                    user_id: userId,
+                    title: 'Từ khó nhớ',
+                    message: `Bạn đã quên từ "${word}" ${lapses} lần. Hãy thử sửa lại thẻ hoặc nhờ AI gợi ý cách ghi nhớ.${suspendedNote}`,
+                    type: 'leech',
+                    action_url: `/review/leeches/${vocabularyId}`
+                });
+        } catch (error) {
+            // Non-critical, the review itself has already been saved
+            console.error('Notify leech error:', error);
+        }
     }
     
     // Get words due for review
@@ -79,36 +358,22 @@ class SpacedRepetitionService {
         }
     }
     
-    // Initialize learning progress for new words
-    async initializeProgress(userId, wordId) {
-        const supabase = require('../config/database');
-        
-        try {
-            const { data, error } = await supabase
-                .from('learning_progress')
-                .insert({
-                    user_id: userId,
-                    word_id: wordId,
-                    easiness_factor: 2.5,
-                    repetitions: 0,
-                    interval: 1,
-                    next_review_date: new Date(),
-                    last_reviewed: null,
-                    correct_count: 0,
-                    total_reviews: 0
-                })
-                .select()
-                .single();
-                
-            if (error) throw error;
-            
-            return data;
-            
-        } catch (error) {
-            console.error('Initialize progress error:', error);
-            throw error;
-        }
+    // Scheduling state of a word that has never been reviewed. Nothing is
+    // stored: the first review writes the card.
+    initialProgress() {
+        return {
+            easiness_factor: 2.5,
+            repetitions: 0,
+            interval: 1,
+            state: CARD_STATES.NEW,
+            learning_step: 0,
+            lapses: 0,
+            total_reviews: 0,
+            correct_reviews: 0
+        };
     }
 }
 
-module.exports = new SpacedRepetitionService();
\ No newline at end of file
+module.exports = new SpacedRepetitionService();
+module.exports.CARD_STATES = CARD_STATES;
+module.exports.CARD_DIRECTIONS = CARD_DIRECTIONS;
\ No newline at end of file
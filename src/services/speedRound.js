@@ -0,0 +1,97 @@
+const supabase = require('../config/database');
+
+const SPEED_ROUND_DURATIONS = [30, 60, 120]; // seconds
+const MAX_CARDS = 100;
+const BASE_POINTS = 100;
+const SPEED_BONUS = 100;
+// Correct answers this slow (or slower) earn no speed bonus
+const SLOW_RESPONSE_MS = 10000;
+// How much of the measured time a client-reported time may shave off, for
+// the network round trip between two answers
+const REPORT_TOLERANCE_MS = 1000;
+
+// Speed rounds: review sessions with a time limit, where each card is a
+// multiple-choice question graded on the server. Correct answers score base
+// points plus a bonus for answering quickly; the best score per list and
+// round length is kept as the user's personal best.
+class SpeedRoundService {
+    points(correct, responseTime) {
+        if (!correct) return 0;
+
+        const time = Math.min(Math.max(responseTime ?? SLOW_RESPONSE_MS, 0), SLOW_RESPONSE_MS);
+        return BASE_POINTS + Math.round(SPEED_BONUS * (1 - time / SLOW_RESPONSE_MS));
+    }
+
+    score(answers) {
+        return answers.reduce((sum, answer) => sum + (answer.points || 0), 0);
+    }
+
+    isExpired(session, now = new Date()) {
+        return this.remainingMs(session, now) === 0;
+    }
+
+    remainingMs(session, now = new Date()) {
+        return Math.max(session.timeLimitMs - (now - new Date(session.startedAt)), 0);
+    }
+
+    // Scored on the time measured on the server since the previous answer
+    // (or the start of the round). The client's own timing is only taken
+    // when it is slightly shorter, as it leaves out network latency.
+    responseTime(session, reported, now = new Date()) {
+        const last = session.answers[session.answers.length - 1];
+        const measured = Math.max(now - new Date(last ? last.answeredAt : session.startedAt), 0);
+
+        const plausible = reported != null && reported <= measured && reported >= measured - REPORT_TOLERANCE_MS;
+        return plausible ? reported : measured;
+    }
+
+    async getBests(userId, listId) {
+        let query = supabase
+            .from('speed_round_bests')
+            .select('*')
+            .eq('user_id', userId);
+
+        if (listId !== undefined) {
+            query = listId ? query.eq('list_id', listId) : query.is('list_id', null);
+        }
+
+        const { data, error } = await query.order('duration_seconds', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    // Store the round if it beats the user's best for the same list and length
+    async recordBest(userId, { listId = null, durationSeconds, sessionId, summary }) {
+        const [previous] = (await this.getBests(userId, listId))
+            .filter(best => best.duration_seconds === durationSeconds);
+
+        if (summary.answered === 0 || (previous && previous.score >= summary.score)) {
+            return { isPersonalBest: false, previousBest: previous?.score ?? null };
+        }
+
+        const row = {
+            user_id: userId,
+            list_id: listId,
+            duration_seconds: durationSeconds,
+            score: summary.score,
+            correct: summary.correct,
+            answered: summary.answered,
+            accuracy: summary.accuracy,
+            average_response_time: summary.averageResponseTime,
+            session_id: sessionId,
+            achieved_at: new Date()
+        };
+
+        const { error } = previous
+            ? await supabase.from('speed_round_bests').update(row).eq('id', previous.id)
+            : await supabase.from('speed_round_bests').insert(row);
+
+        if (error) throw error;
+        return { isPersonalBest: true, previousBest: previous?.score ?? null };
+    }
+}
+
+module.exports = new SpeedRoundService();
+module.exports.SPEED_ROUND_DURATIONS = SPEED_ROUND_DURATIONS;
+module.exports.MAX_CARDS = MAX_CARDS;
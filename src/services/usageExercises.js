@@ -0,0 +1,253 @@
+const cacheService = require('./CacheService');
+const aiService = require('./aiService');
+const answerChecker = require('./answerChecker');
+const distractorEngine = require('./distractorEngine');
+const { DISTRACTOR_COUNT } = distractorEngine;
+
+const USAGE_EXERCISES = ['collocation', 'context-usage'];
+const AI_CACHE_TTL = 7 * 24 * 60 * 60; // 7 days
+// Model calls made at once, and how long one may take before the rules
+// take over
+const AI_CONCURRENCY = 4;
+const AI_TIMEOUT_MS = 10 * 1000;
+const BLANK = '_____';
+const DETERMINERS = ['a', 'an', 'the', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'this', 'that', 'these', 'those', 'some'];
+// Words learners commonly confuse in collocations ("make a decision", not
+// "do a decision"); each set holds interchangeable forms of the same kind
+const COLLOCATE_SETS = [
+    ['make', 'do', 'take', 'have', 'get', 'give'],
+    ['makes', 'does', 'takes', 'has', 'gets', 'gives'],
+    ['made', 'did', 'took', 'had', 'got', 'gave'],
+    ['making', 'doing', 'taking', 'having', 'getting', 'giving'],
+    ['in', 'on', 'at', 'for', 'to', 'with', 'of', 'about', 'from'],
+    ['strong', 'heavy', 'high', 'big', 'deep', 'great', 'hard']
+];
+
+// Usage exercises built from a word's example sentence: "choose the correct
+// collocation" and "which sentence uses the word correctly". Items come from
+// aiService when a model is configured, otherwise from deterministic rules,
+// so the same word always yields the same item.
+class UsageExerciseService {
+    // Exercises keyed by word id, in the order of `words`; words no item can
+    // be built for are left out. Words are generated a few at a time, and
+    // generation stops once `limit` items exist.
+    async generateFor(words, pool, type, limit = Infinity) {
+        const result = new Map();
+
+        for (let i = 0; i < words.length && result.size < limit; i += AI_CONCURRENCY) {
+            const batch = words.slice(i, i + AI_CONCURRENCY);
+            const exercises = await Promise.all(batch.map(word => this.generate(word, pool, type)));
+
+            exercises.forEach((exercise, j) => {
+                if (exercise && result.size < limit) result.set(batch[j].id, exercise);
+            });
+        }
+
+        return result;
+    }
+
+    // A model failure or timeout falls back to the rules for that word only
+    async generate(word, pool, type) {
+        let generated = null;
+        try {
+            generated = await this.withTimeout(this.fromAI(word, type), AI_TIMEOUT_MS);
+        } catch (error) {
+            console.error(`Usage exercise generation error for word ${word.id}:`, error);
+        }
+
+        return generated || this.fromRules(word, pool, type);
+    }
+
+    withTimeout(promise, ms) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+        });
+
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    async fromAI(word, type) {
+        if (!aiService.model) return null;
+
+        const key = this.cacheKey(type, word.id);
+        const cached = await cacheService.get(key);
+        if (cached) return cached;
+
+        const generated = await aiService.generateUsageExercise(word.word, word.meaning, type);
+        const exercise = this.fromGenerated(word, type, generated);
+        if (exercise) {
+            await cacheService.set(key, exercise, AI_CACHE_TTL);
+        }
+
+        return exercise;
+    }
+
+    // Model output is only used when it has the expected shape
+    fromGenerated(word, type, generated) {
+        const options = generated?.options;
+        const correctIndex = generated?.correctIndex;
+
+        if (!Array.isArray(options) || options.length !== DISTRACTOR_COUNT + 1) return null;
+        if (!options.every(option => typeof option === 'string' && option.trim())) return null;
+        if (new Set(options.map(option => answerChecker.normalize(option))).size !== options.length) return null;
+        if (!Number.isInteger(correctIndex) || !options[correctIndex]) return null;
+        if (type === 'collocation' && !String(generated.prompt || '').includes(BLANK)) return null;
+
+        return this.exercise(word, type, {
+            prompt: type === 'collocation' ? generated.prompt : null,
+            correct: options[correctIndex].trim(),
+            wrong: options.filter((_, i) => i !== correctIndex).map(option => option.trim()),
+            source: 'ai'
+        });
+    }
+
+    fromRules(word, pool, type) {
+        return type === 'collocation' ? this.collocation(word) : this.contextUsage(word, pool);
+    }
+
+    // Blank out the word's collocate in its example sentence and offer
+    // commonly confused alternatives
+    collocation(word) {
+        const words = this.splitSentence(word.example_sentence);
+        const index = this.findWord(words, word.word);
+        if (index === -1) return null;
+
+        // Collocate before the word (skipping articles), then right after it
+        let left = index - 1;
+        while (left >= 0 && DETERMINERS.includes(words[left].normalized)) left--;
+
+        const partnerIndex = [left, index + 1].find(i => i >= 0 && i < words.length && this.collocateSet(words[i].normalized));
+        if (partnerIndex === undefined) return null;
+
+        const partner = words[partnerIndex];
+        const wrong = this.seededOrder(this.collocateSet(partner.normalized).filter(text => text !== partner.normalized), word.id)
+            .slice(0, DISTRACTOR_COUNT);
+
+        return this.exercise(word, 'collocation', {
+            prompt: words.map((w, i) => (i === partnerIndex ? w.raw.replace(w.text, BLANK) : w.raw)).join(' '),
+            correct: partner.normalized,
+            wrong,
+            source: 'rules'
+        });
+    }
+
+    // The word's own example sentence against other words' examples with
+    // the word swapped in. Candidates are ranked like distractors, so the
+    // wrong sentences tend to be grammatical but nonsensical.
+    contextUsage(word, pool) {
+        if (word.word.includes(' ') || this.findWord(this.splitSentence(word.example_sentence), word.word) === -1) return null;
+
+        const wrong = [];
+        const candidates = pool
+            .filter(candidate => candidate.example_sentence && distractorEngine.isEligible(word, candidate))
+            .map(candidate => ({ candidate, score: distractorEngine.score(word, candidate) }))
+            .sort((a, b) => b.score - a.score || String(a.candidate.id).localeCompare(String(b.candidate.id)));
+
+        for (const { candidate } of candidates) {
+            const sentence = this.substitute(candidate, word.word);
+            if (sentence && !wrong.includes(sentence)) wrong.push(sentence);
+            if (wrong.length === DISTRACTOR_COUNT) break;
+        }
+
+        if (wrong.length < DISTRACTOR_COUNT) return null;
+
+        return this.exercise(word, 'context-usage', {
+            prompt: null,
+            correct: word.example_sentence,
+            wrong,
+            source: 'rules'
+        });
+    }
+
+    // `candidate`'s example sentence with `replacement` in place of its word,
+    // keeping the inflection ("studies" -> "eats")
+    substitute(candidate, replacement) {
+        if (candidate.word.includes(' ')) return null;
+
+        const words = this.splitSentence(candidate.example_sentence);
+        const index = this.findWord(words, candidate.word);
+        if (index === -1) return null;
+
+        const forms = this.forms(candidate.word);
+        const form = this.forms(replacement)[forms.indexOf(words[index].normalized)];
+        const { raw, text } = words[index];
+        const cased = text[0] === text[0].toUpperCase() ? form.charAt(0).toUpperCase() + form.slice(1) : form;
+
+        // Keep "a" / "an" in agreement with the new word
+        const article = /^[aeiou]/.test(form) ? 'an' : 'a';
+
+        return words.map((w, i) => {
+            if (i === index) return raw.replace(text, cased);
+            if (i === index - 1 && ['a', 'an'].includes(w.normalized)) {
+                return w.raw.replace(w.text, w.text[0] === 'A' ? article.charAt(0).toUpperCase() + article.slice(1) : article);
+            }
+            return w.raw;
+        }).join(' ');
+    }
+
+    // The word followed by its plural, past and -ing forms
+    forms(word) {
+        const base = answerChecker.normalize(word);
+        return [base, ...answerChecker.inflections(base)];
+    }
+
+    findWord(words, word) {
+        if (word.includes(' ')) return -1;
+
+        const forms = this.forms(word);
+        return words.findIndex(w => forms.includes(w.normalized));
+    }
+
+    splitSentence(sentence) {
+        return String(sentence || '').trim().split(/\s+/).filter(Boolean).map(raw => {
+            const text = raw.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+            return { raw, text, normalized: answerChecker.normalize(text) };
+        });
+    }
+
+    collocateSet(text) {
+        return COLLOCATE_SETS.find(set => set.includes(text)) || null;
+    }
+
+    exercise(word, type, { prompt, correct, wrong, source }) {
+        const options = this.seededOrder([correct, ...wrong], word.id)
+            .map((text, i) => ({ id: String.fromCharCode(97 + i), text, isCorrect: text === correct }));
+
+        return {
+            type,
+            wordId: word.id,
+            word: word.word,
+            meaning: word.meaning,
+            ...(prompt && { prompt }),
+            options,
+            source
+        };
+    }
+
+    // Stable shuffle: the same seed always gives the same order
+    seededOrder(items, seed) {
+        return [...items]
+            .map(item => ({ item, rank: this.hash(`${seed}:${item}`) }))
+            .sort((a, b) => a.rank - b.rank)
+            .map(({ item }) => item);
+    }
+
+    // FNV-1a
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    cacheKey(type, wordId) {
+        return `usage_exercise:${type}:${wordId}`;
+    }
+}
+
+module.exports = new UsageExerciseService();
+module.exports.USAGE_EXERCISES = USAGE_EXERCISES;
+module.exports.AI_CONCURRENCY = AI_CONCURRENCY;
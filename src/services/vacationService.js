@@ -0,0 +1,243 @@
+const supabase = require('../config/database');
+const spacedRepetition = require('./spacedRepetition');
+const reviewForecast = require('./reviewForecast');
+const { DAY_MS, toDateKey, startOfDay, addDays } = require('../utils/dateHelper');
+
+const PAGE_SIZE = 1000;
+const DEFAULT_CATCH_UP_DAYS = 7;
+
+// Vacation mode. Absence windows (inclusive YYYY-MM-DD dates) freeze the
+// review streak, and the overdue backlog left behind can be spread over
+// several days instead of landing in a single review queue.
+class VacationService {
+    async getAbsences(userId) {
+        const { data, error } = await supabase
+            .from('user_absences')
+            .select('*')
+            .eq('user_id', userId)
+            .order('start_date', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    async createAbsence(userId, { startDate, endDate, reason = null }) {
+        const { data, error } = await supabase
+            .from('user_absences')
+            .insert({
+                user_id: userId,
+                start_date: startDate,
+                end_date: endDate,
+                reason
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async deleteAbsence(userId, absenceId) {
+        const { data, error } = await supabase
+            .from('user_absences')
+            .delete()
+            .eq('id', absenceId)
+            .eq('user_id', userId)
+            .select();
+
+        if (error) throw error;
+        return (data || []).length > 0;
+    }
+
+    isAbsent(dateKey, absences = []) {
+        return absences.some(absence => absence.start_date <= dateKey && dateKey <= absence.end_date);
+    }
+
+    // True when every day strictly between two YYYY-MM-DD dates falls inside
+    // an absence, so the gap should not break a streak
+    coversGap(fromKey, toKey, absences = []) {
+        for (let time = Date.parse(`${fromKey}T00:00:00Z`) + DAY_MS; time < Date.parse(`${toKey}T00:00:00Z`); time += DAY_MS) {
+            if (!this.isAbsent(new Date(time).toISOString().slice(0, 10), absences)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // The most recent absence that has ended but whose backlog was not yet
+    // spread out
+    pendingRecovery(absences, today) {
+        return absences
+            .filter(absence => absence.end_date < today && !absence.recovered_at)
+            .sort((a, b) => b.end_date.localeCompare(a.end_date))[0] || null;
+    }
+
+    // Review cards that fell due before today
+    async getOverdueCards(userId, before) {
+        const cards = [];
+
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const { data, error } = await supabase
+                .from('user_vocabulary')
+                .select('id, vocabulary_id, interval, next_review_date')
+                .eq('user_id', userId)
+                .eq('state', 'review')
+                .eq('is_suspended', false)
+                .lt('next_review_date', before.toISOString())
+                .order('next_review_date', { ascending: true })
+                .range(offset, offset + PAGE_SIZE - 1);
+
+            if (error) throw error;
+
+            cards.push(...(data || []));
+            if (!data || data.length < PAGE_SIZE) break;
+        }
+
+        return cards;
+    }
+
+    async previewCatchUp(userId, days = DEFAULT_CATCH_UP_DAYS) {
+        const config = await spacedRepetition.getSchedulingConfig(userId);
+        const now = new Date();
+        const today = startOfDay(now, config.timezone);
+
+        const [cards, dailyLoad, absences] = await Promise.all([
+            this.getOverdueCards(userId, today),
+            reviewForecast.getDailyLoad(userId, today, addDays(now, days, config.timezone), config.timezone),
+            this.getAbsences(userId)
+        ]);
+
+        return {
+            ...this.buildCatchUpPlan(cards, { days, dailyLoad, now, timezone: config.timezone }),
+            timezone: config.timezone,
+            absence: this.pendingRecovery(absences, toDateKey(now, config.timezone))
+        };
+    }
+
+    // Spread overdue cards over `days` days so that, together with what is
+    // already due, every day gets about the same load. Young cards go first:
+    // they are forgotten fastest and are the cheapest to relearn.
+    buildCatchUpPlan(cards, { days = DEFAULT_CATCH_UP_DAYS, dailyLoad = {}, now = new Date(), timezone } = {}) {
+        const sorted = [...cards].sort((a, b) =>
+            (a.interval || 0) - (b.interval || 0) ||
+            new Date(a.next_review_date) - new Date(b.next_review_date)
+        );
+
+        const plan = [];
+        for (let i = 0; i < days; i++) {
+            const date = toDateKey(addDays(now, i, timezone), timezone);
+            plan.push({
+                date,
+                dueAt: i === 0 ? now : addDays(now, i, timezone),
+                existing: dailyLoad[date] || 0,
+                rescheduled: 0
+            });
+        }
+
+        const existingTotal = plan.reduce((sum, day) => sum + day.existing, 0);
+        const target = Math.ceil((sorted.length + existingTotal) / days);
+
+        const assignments = [];
+        let index = 0;
+        sorted.forEach(card => {
+            while (index < days - 1 && plan[index].existing + plan[index].rescheduled >= target) {
+                index++;
+            }
+
+            plan[index].rescheduled++;
+            assignments.push({
+                id: card.id,
+                vocabularyId: card.vocabulary_id,
+                previousReviewDate: card.next_review_date,
+                nextReviewDate: plan[index].dueAt
+            });
+        });
+
+        return {
+            backlog: sorted.length,
+            days,
+            plan: plan.map(({ dueAt, ...day }) => ({ ...day, total: day.existing + day.rescheduled })),
+            assignments
+        };
+    }
+
+    async applyCatchUp(userId, days = DEFAULT_CATCH_UP_DAYS) {
+        const preview = await this.previewCatchUp(userId, days);
+
+        await this.reschedule(userId, preview.assignments);
+        if (preview.absence) {
+            await this.claimRecovery(userId, toDateKey(new Date(), preview.timezone));
+        }
+
+        return preview;
+    }
+
+    // Spreads the backlog the first time the review queue is built after an
+    // absence has ended. The absences are claimed before anything is moved,
+    // so concurrent queue fetches apply the plan only once. Null when there
+    // is nothing to recover.
+    async recoverAfterAbsence(userId, timezone, days = DEFAULT_CATCH_UP_DAYS) {
+        const today = toDateKey(new Date(), timezone);
+        if (!this.pendingRecovery(await this.getAbsences(userId), today)) return null;
+
+        const claimed = await this.claimRecovery(userId, today);
+        if (claimed.length === 0) return null;
+
+        try {
+            const preview = await this.previewCatchUp(userId, days);
+            await this.reschedule(userId, preview.assignments);
+            return preview;
+        } catch (error) {
+            await this.releaseRecovery(claimed.map(absence => absence.id));
+            throw error;
+        }
+    }
+
+    // Mark every absence that ended before today as recovered; returns the
+    // rows this call marked
+    async claimRecovery(userId, today) {
+        const { data, error } = await supabase
+            .from('user_absences')
+            .update({ recovered_at: new Date() })
+            .eq('user_id', userId)
+            .lt('end_date', today)
+            .is('recovered_at', null)
+            .select('id');
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    async releaseRecovery(absenceIds) {
+        const { error } = await supabase
+            .from('user_absences')
+            .update({ recovered_at: null })
+            .in('id', absenceIds);
+
+        if (error) console.error('Release absence recovery error:', error);
+    }
+
+    async reschedule(userId, assignments) {
+        const byDate = new Map();
+        assignments.forEach(assignment => {
+            const key = assignment.nextReviewDate.toISOString();
+            if (!byDate.has(key)) byDate.set(key, []);
+            byDate.get(key).push(assignment.id);
+        });
+
+        for (const [nextReviewDate, ids] of byDate) {
+            for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+                const { error } = await supabase
+                    .from('user_vocabulary')
+                    .update({ next_review_date: nextReviewDate, updated_at: new Date() })
+                    .eq('user_id', userId)
+                    .in('id', ids.slice(i, i + PAGE_SIZE));
+
+                if (error) throw error;
+            }
+        }
+    }
+}
+
+module.exports = new VacationService();
+module.exports.DEFAULT_CATCH_UP_DAYS = DEFAULT_CATCH_UP_DAYS;
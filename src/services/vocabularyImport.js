@@ -0,0 +1,227 @@
+const supabase = require('../config/database');
+const VocabularyItem = require('../models/VocabularyItem');
+const answerChecker = require('./answerChecker');
+
+const MAX_IMPORT_ROWS = 1000;
+const MAX_TAGS = 20;
+// Import columns, the vocabulary_items column each one fills, and the header
+// names recognized for it (compared case-insensitively)
+const IMPORT_COLUMNS = {
+    term: { column: 'word', headers: ['term', 'word', 'front'] },
+    definition: { column: 'meaning', headers: ['definition', 'meaning', 'back', 'translation'] },
+    phonetics: { column: 'pronunciation', headers: ['phonetics', 'pronunciation', 'ipa'] },
+    example: { column: 'example_sentence', headers: ['example', 'example sentence', 'example_sentence', 'sentence'] },
+    image: { column: 'image_url', headers: ['image', 'image url', 'image_url'] },
+    audio: { column: 'audio_url', headers: ['audio', 'audio url', 'audio_url'] },
+    tags: { column: 'tags', headers: ['tags', 'tag'] }
+};
+const MAX_LENGTHS = { term: 100, definition: 1000, phonetics: 200, example: 1000, image: 2000, audio: 2000 };
+
+// Imports vocabulary items into a list from CSV or TSV. Columns are found by
+// their header names, by an explicit mapping, or by position (term,
+// definition, phonetics, example, image, audio, tags) when the file has no
+// header row. Rows that fail validation are reported and skipped, as are
+// terms already in the list or repeated in the file.
+class VocabularyImportService {
+    // `mapping` maps import columns to header names or 0-based column indexes
+    async importList(listId, text, { delimiter, mapping } = {}) {
+        const rows = this.parse(text, delimiter || this.detectDelimiter(text));
+        if (rows.length > MAX_IMPORT_ROWS + 1) {
+            return { error: `File has more than ${MAX_IMPORT_ROWS} rows` };
+        }
+
+        const { items, errors } = this.mapRows(rows, mapping);
+
+        const existing = await this.getExistingTerms(listId);
+        const duplicates = [];
+        const toInsert = [];
+
+        for (const { row, item } of items) {
+            const key = answerChecker.normalize(item.word);
+            if (existing.has(key)) {
+                duplicates.push({ row, term: item.word });
+                continue;
+            }
+            existing.add(key);
+            toInsert.push({ list_id: listId, ...item });
+        }
+
+        const inserted = toInsert.length > 0 ? await VocabularyItem.createBulk(toInsert) : [];
+
+        return {
+            imported: inserted.length,
+            duplicates,
+            errors,
+            items: inserted
+        };
+    }
+
+    // RFC 4180 style: quoted fields may contain the delimiter, newlines and
+    // doubled quotes. Blank lines are dropped; each row keeps its line number.
+    parse(text, delimiter = ',') {
+        const input = String(text || '').replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+
+        const endRow = () => {
+            row.push(field);
+            if (row.some(value => value.trim() !== '')) {
+                rows.push({ line: rowLine, values: row });
+            }
+            row = [];
+            field = '';
+        };
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                endRow();
+                line++;
+                rowLine = line;
+            } else {
+                field += char;
+            }
+        }
+        endRow();
+
+        return rows;
+    }
+
+    // Tab-separated if the first line has tabs, otherwise comma-separated
+    // (or semicolons, as spreadsheet apps export in some locales)
+    detectDelimiter(text) {
+        const firstLine = String(text || '').split(/\r?\n/, 1)[0];
+        if (firstLine.includes('\t')) return '\t';
+        if (!firstLine.includes(',') && firstLine.includes(';')) return ';';
+        return ',';
+    }
+
+    mapRows(rows, mapping = {}) {
+        if (rows.length === 0) return { items: [], errors: [] };
+
+        // The first row is a header if it names a known column, or the
+        // mapping refers to columns by name
+        const header = rows[0].values.map(value => value.trim().toLowerCase());
+        const hasHeader = Object.values(mapping).some(value => typeof value === 'string') ||
+            Object.values(IMPORT_COLUMNS).some(({ headers }) => headers.some(name => header.includes(name)));
+        const indexes = this.columnIndexes(header, hasHeader, mapping);
+
+        const items = [];
+        const errors = [];
+
+        for (const { line, values } of rows.slice(hasHeader ? 1 : 0)) {
+            const fields = {};
+            Object.entries(indexes).forEach(([name, index]) => {
+                fields[name] = index === undefined ? '' : (values[index] || '').trim();
+            });
+
+            const rowErrors = this.validate(fields);
+            if (rowErrors.length > 0) {
+                rowErrors.forEach(error => errors.push({ row: line, ...error }));
+                continue;
+            }
+
+            items.push({ row: line, item: this.toItem(fields) });
+        }
+
+        return { items, errors };
+    }
+
+    // Column index of each import column
+    columnIndexes(header, hasHeader, mapping) {
+        const indexes = {};
+
+        Object.entries(IMPORT_COLUMNS).forEach(([name, { headers }], position) => {
+            const mapped = mapping[name];
+            if (Number.isInteger(mapped)) {
+                indexes[name] = mapped;
+            } else if (typeof mapped === 'string') {
+                const index = header.indexOf(mapped.trim().toLowerCase());
+                indexes[name] = index === -1 ? undefined : index;
+            } else if (hasHeader) {
+                const index = header.findIndex(value => headers.includes(value));
+                indexes[name] = index === -1 ? undefined : index;
+            } else {
+                indexes[name] = position;
+            }
+        });
+
+        return indexes;
+    }
+
+    validate(fields) {
+        const errors = [];
+
+        if (!fields.term) errors.push({ field: 'term', message: 'Term is required' });
+        if (!fields.definition) errors.push({ field: 'definition', message: 'Definition is required' });
+
+        Object.entries(MAX_LENGTHS).forEach(([name, max]) => {
+            if (fields[name].length > max) {
+                errors.push({ field: name, message: `Must be at most ${max} characters` });
+            }
+        });
+
+        ['image', 'audio'].forEach(name => {
+            if (fields[name] && !this.isUrl(fields[name])) {
+                errors.push({ field: name, message: 'Must be an http(s) URL' });
+            }
+        });
+
+        return errors;
+    }
+
+    toItem(fields) {
+        const item = {};
+        Object.entries(IMPORT_COLUMNS).forEach(([name, { column }]) => {
+            if (name !== 'tags') item[column] = fields[name] || null;
+        });
+
+        // Tags are separated by spaces (as Anki exports them), commas or semicolons
+        item.tags = [...new Set(fields.tags.split(/[\s,;]+/).filter(Boolean))].slice(0, MAX_TAGS);
+
+        return item;
+    }
+
+    isUrl(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async getExistingTerms(listId) {
+        const { data, error } = await supabase
+            .from('vocabulary_items')
+            .select('word')
+            .eq('list_id', listId);
+
+        if (error) throw error;
+        return new Set((data || []).map(item => answerChecker.normalize(item.word)));
+    }
+}
+
+module.exports = new VocabularyImportService();
+module.exports.IMPORT_COLUMNS = IMPORT_COLUMNS;
+module.exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
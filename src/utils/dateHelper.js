@@ -0,0 +1,51 @@
+// Timezone-aware date helpers (user_settings.timezone is an IANA zone name)
+const DEFAULT_TIMEZONE = 'Asia/Ho_Chi_Minh';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Offset of `timeZone` from UTC at `date`, in milliseconds
+const getTimeZoneOffset = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+    const values = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+    const asUTC = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+
+    return asUTC - (date.getTime() - date.getMilliseconds());
+};
+
+// Calendar day of `date` in `timeZone`, formatted YYYY-MM-DD
+const toDateKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(new Date(date));
+};
+
+// Midnight (in `timeZone`) of the day containing `date`
+const startOfDay = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const midnightUTC = Date.parse(`${toDateKey(date, timeZone)}T00:00:00Z`);
+    return new Date(midnightUTC - getTimeZoneOffset(new Date(midnightUTC), timeZone));
+};
+
+// Midnight (in `timeZone`) `days` days after the day containing `date`
+const addDays = (date, days, timeZone = DEFAULT_TIMEZONE) => {
+    return startOfDay(new Date(startOfDay(date, timeZone).getTime() + days * DAY_MS + DAY_MS / 2), timeZone);
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    DAY_MS,
+    getTimeZoneOffset,
+    toDateKey,
+    startOfDay,
+    addDays
+};
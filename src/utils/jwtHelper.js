@@ -16,7 +16,17 @@ function generateEmailVerificationToken(userId) {
     );
 }
 
+// Signs a batch of cards handed out for offline review
+function generateReviewSyncToken(payload) {
+    return jwt.sign(
+        { ...payload, type: 'review_sync' },
+        process.env.JWT_SECRET || 'test-secret',
+        { expiresIn: '7d' }
+    );
+}
+
 module.exports = {
     generateToken,
-    generateEmailVerificationToken
+    generateEmailVerificationToken,
+    generateReviewSyncToken
 };
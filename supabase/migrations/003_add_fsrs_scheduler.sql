@@ -0,0 +1,12 @@
+-- Per-user scheduler selection (SM-2 or FSRS)
+ALTER TABLE user_settings
+ADD COLUMN scheduler VARCHAR(20) DEFAULT 'sm2';
+
+ALTER TABLE user_settings
+ADD CONSTRAINT check_user_settings_scheduler
+CHECK (scheduler IN ('sm2', 'fsrs'));
+
+-- FSRS memory state, NULL until the card is first reviewed with FSRS
+ALTER TABLE user_vocabulary
+ADD COLUMN stability DECIMAL(10,4),
+ADD COLUMN difficulty DECIMAL(5,3);
@@ -0,0 +1,17 @@
+-- Personalized scheduler parameters fitted from review_history
+CREATE TABLE user_scheduler_params (
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE PRIMARY KEY,
+    scheduler VARCHAR(20) NOT NULL DEFAULT 'fsrs',
+    parameters JSONB NOT NULL,
+    review_count INTEGER NOT NULL DEFAULT 0,
+    log_loss_before DECIMAL(8,4),
+    log_loss_after DECIMAL(8,4),
+    predicted_retention DECIMAL(5,4),
+    actual_retention DECIMAL(5,4),
+    optimized_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE user_scheduler_params ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own scheduler params" ON user_scheduler_params
+    FOR SELECT USING (auth.uid() = user_id);
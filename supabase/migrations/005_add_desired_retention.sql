@@ -0,0 +1,7 @@
+-- Target probability of recalling a card on its due date
+ALTER TABLE user_settings
+ADD COLUMN desired_retention DECIMAL(3,2) DEFAULT 0.90;
+
+ALTER TABLE user_settings
+ADD CONSTRAINT check_user_settings_desired_retention
+CHECK (desired_retention >= 0.80 AND desired_retention <= 0.97);
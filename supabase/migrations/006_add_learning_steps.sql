@@ -0,0 +1,18 @@
+-- Intra-day learning / relearning steps, in minutes
+ALTER TABLE user_settings
+ADD COLUMN learning_steps INTEGER[] DEFAULT '{1,10}',
+ADD COLUMN relearning_steps INTEGER[] DEFAULT '{10}';
+
+-- Card state: new -> learning -> review (-> relearning after a lapse)
+ALTER TABLE user_vocabulary
+ADD COLUMN state VARCHAR(20) DEFAULT 'new' NOT NULL,
+ADD COLUMN learning_step INTEGER DEFAULT 0 NOT NULL;
+
+ALTER TABLE user_vocabulary
+ADD CONSTRAINT check_user_vocabulary_state
+CHECK (state IN ('new', 'learning', 'review', 'relearning'));
+
+-- Existing cards that have been reviewed are already in review
+UPDATE user_vocabulary SET state = 'review' WHERE last_review_date IS NOT NULL;
+
+CREATE INDEX idx_user_vocab_state_next_review ON user_vocabulary(user_id, state, next_review_date);
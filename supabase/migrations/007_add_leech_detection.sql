@@ -0,0 +1,16 @@
+-- Lapse tracking and leech handling on user_vocabulary
+ALTER TABLE user_vocabulary
+ADD COLUMN lapses INTEGER DEFAULT 0 NOT NULL,
+ADD COLUMN is_leech BOOLEAN DEFAULT FALSE NOT NULL,
+ADD COLUMN is_suspended BOOLEAN DEFAULT FALSE NOT NULL;
+
+CREATE INDEX idx_user_vocab_leech ON user_vocabulary(user_id, lapses DESC) WHERE is_leech = TRUE;
+
+-- Lapses before a word is tagged as a leech, and what to do with it
+ALTER TABLE user_settings
+ADD COLUMN leech_threshold INTEGER DEFAULT 8,
+ADD COLUMN leech_action VARCHAR(20) DEFAULT 'tag';
+
+ALTER TABLE user_settings
+ADD CONSTRAINT check_user_settings_leech_action
+CHECK (leech_action IN ('tag', 'suspend'));
@@ -0,0 +1,3 @@
+-- Buried cards are hidden from review sessions until this time
+ALTER TABLE user_vocabulary
+ADD COLUMN buried_until TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,11 @@
+-- Daily caps and ordering for the review queue
+ALTER TABLE user_settings
+ADD COLUMN new_cards_per_day INTEGER DEFAULT 20,
+ADD COLUMN reviews_per_day INTEGER DEFAULT 200,
+ADD COLUMN queue_order VARCHAR(20) DEFAULT 'due-first';
+
+ALTER TABLE user_settings
+ADD CONSTRAINT check_user_settings_queue_order
+CHECK (queue_order IN ('due-first', 'new-first', 'interleaved', 'random'));
+
+CREATE INDEX idx_user_vocab_first_learned ON user_vocabulary(user_id, first_learned_at);
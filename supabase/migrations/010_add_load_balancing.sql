@@ -0,0 +1,3 @@
+-- Fuzz review intervals and spread them over the least loaded nearby days
+ALTER TABLE user_settings
+ADD COLUMN load_balancing BOOLEAN DEFAULT TRUE;
@@ -0,0 +1,19 @@
+-- Vacation mode: declared absence windows freeze streaks, and the overdue
+-- backlog is spread over several days once the user is back
+CREATE TABLE user_absences (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason VARCHAR(255),
+    recovered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX idx_user_absences_user_dates ON user_absences(user_id, start_date, end_date);
+
+ALTER TABLE user_absences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own absences" ON user_absences
+    FOR ALL USING (auth.uid() = user_id);
@@ -0,0 +1,21 @@
+-- Server-side review sessions. Redis holds the working copy; this table keeps
+-- checkpoints so a session can be resumed after a cache loss or on another device
+CREATE TABLE review_sessions (
+    id UUID PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    mode VARCHAR(30) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'finished')),
+    list_id UUID,
+    state JSONB NOT NULL,
+    summary JSONB,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_review_sessions_user_status ON review_sessions(user_id, status, updated_at DESC);
+
+ALTER TABLE review_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own review sessions" ON review_sessions
+    FOR ALL USING (auth.uid() = user_id);
@@ -0,0 +1,8 @@
+-- Word metadata used to pick plausible wrong options (distractors) for
+-- word association and multiple-choice exercises
+ALTER TABLE vocabulary_items
+ADD COLUMN part_of_speech VARCHAR(50),
+ADD COLUMN difficulty_level VARCHAR(20) CHECK (difficulty_level IN ('beginner', 'intermediate', 'advanced')),
+ADD COLUMN synonyms TEXT[] DEFAULT '{}';
+
+CREATE INDEX idx_vocabulary_items_pos ON vocabulary_items(part_of_speech);
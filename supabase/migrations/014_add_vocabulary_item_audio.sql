@@ -0,0 +1,3 @@
+-- Pronunciation audio for spelling drills (phonetics live in `pronunciation`)
+ALTER TABLE vocabulary_items
+ADD COLUMN audio_url TEXT;
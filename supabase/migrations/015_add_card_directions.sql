@@ -0,0 +1,20 @@
+-- Reverse cards: each word can be scheduled term -> definition (forward,
+-- recognition) and definition -> term (reverse, recall), and optionally per
+-- exercise type. 'any' means the card is shared by all exercise types.
+ALTER TABLE user_vocabulary
+ADD COLUMN direction VARCHAR(10) DEFAULT 'forward' NOT NULL CHECK (direction IN ('forward', 'reverse')),
+ADD COLUMN exercise_type VARCHAR(30) DEFAULT 'any' NOT NULL;
+
+ALTER TABLE user_vocabulary
+DROP CONSTRAINT user_vocabulary_user_id_vocabulary_id_key,
+ADD CONSTRAINT user_vocabulary_card_key UNIQUE (user_id, vocabulary_id, direction, exercise_type);
+
+ALTER TABLE review_history
+ADD COLUMN direction VARCHAR(10) DEFAULT 'forward' NOT NULL,
+ADD COLUMN exercise_type VARCHAR(30) DEFAULT 'any' NOT NULL;
+
+CREATE INDEX idx_review_history_user_direction ON review_history(user_id, direction, reviewed_at DESC);
+
+ALTER TABLE user_settings
+ADD COLUMN reverse_cards BOOLEAN DEFAULT FALSE,
+ADD COLUMN schedule_by_exercise BOOLEAN DEFAULT FALSE;
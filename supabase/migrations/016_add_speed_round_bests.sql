@@ -0,0 +1,23 @@
+-- Personal bests for timed speed rounds, per user, list (NULL = review
+-- queue) and round length
+CREATE TABLE speed_round_bests (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    list_id UUID REFERENCES vocabulary_lists(id) ON DELETE CASCADE,
+    duration_seconds INTEGER NOT NULL,
+    score INTEGER NOT NULL,
+    correct INTEGER NOT NULL,
+    answered INTEGER NOT NULL,
+    accuracy INTEGER NOT NULL,
+    average_response_time INTEGER,
+    session_id UUID,
+    achieved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_speed_round_bests_key
+    ON speed_round_bests(user_id, COALESCE(list_id, '00000000-0000-0000-0000-000000000000'), duration_seconds);
+
+ALTER TABLE speed_round_bests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own speed round bests" ON speed_round_bests
+    FOR ALL USING (auth.uid() = user_id);
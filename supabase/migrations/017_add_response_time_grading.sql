@@ -0,0 +1,15 @@
+-- Response-time aware grading. `quality` stays the rating the scheduler used;
+-- the self-reported rating and the one derived from correctness and response
+-- time are kept alongside it. `exercise` is the exercise the review came from
+-- (exercise_type only names the card, which is 'any' unless the user
+-- schedules exercise types separately).
+ALTER TABLE review_history
+ADD COLUMN raw_quality SMALLINT CHECK (raw_quality BETWEEN 0 AND 3),
+ADD COLUMN derived_quality SMALLINT CHECK (derived_quality BETWEEN 0 AND 3),
+ADD COLUMN grading_mode VARCHAR(10) DEFAULT 'self' NOT NULL CHECK (grading_mode IN ('self', 'auto')),
+ADD COLUMN exercise VARCHAR(30);
+
+CREATE INDEX idx_review_history_user_exercise ON review_history(user_id, exercise, reviewed_at DESC);
+
+ALTER TABLE user_settings
+ADD COLUMN auto_grade BOOLEAN DEFAULT FALSE;
@@ -0,0 +1,21 @@
+-- Review events uploaded by offline clients. The client-generated event ID
+-- makes every upload idempotent: an event is claimed before it is replayed,
+-- and a retried upload gets the stored result back.
+CREATE TABLE review_sync_events (
+    event_id UUID PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    batch_id UUID NOT NULL,
+    vocabulary_id UUID NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing'
+        CHECK (status IN ('processing', 'applied', 'merged', 'superseded', 'rejected')),
+    result JSONB,
+    reviewed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    processed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_review_sync_events_user_batch ON review_sync_events(user_id, batch_id);
+
+ALTER TABLE review_sync_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own review sync events" ON review_sync_events
+    FOR SELECT USING (auth.uid() = user_id);
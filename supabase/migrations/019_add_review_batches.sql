@@ -0,0 +1,58 @@
+-- Bulk review submissions, keyed by the client's Idempotency-Key: a retried
+-- request gets the stored response back instead of being applied again
+CREATE TABLE review_batches (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    response JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (user_id, idempotency_key)
+);
+
+ALTER TABLE review_batches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own review batches" ON review_batches
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Writes a prepared batch in one transaction: the card updates, the history
+-- rows and the stored response all land, or none do. Like the client-side
+-- upsert, only the columns present in each row are written.
+CREATE OR REPLACE FUNCTION apply_review_batch(p_batch_id UUID, p_cards JSONB, p_history JSONB, p_response JSONB)
+RETURNS VOID AS $$
+DECLARE
+    card JSONB;
+    entry JSONB;
+    columns TEXT;
+    excluded TEXT;
+BEGIN
+    FOR card IN SELECT * FROM jsonb_array_elements(p_cards) LOOP
+        SELECT string_agg(quote_ident(key), ', '), string_agg('EXCLUDED.' || quote_ident(key), ', ')
+        INTO columns, excluded
+        FROM jsonb_object_keys(card) AS key;
+
+        EXECUTE format(
+            'INSERT INTO user_vocabulary (%s) SELECT %s FROM jsonb_populate_record(NULL::user_vocabulary, $1)
+             ON CONFLICT (user_id, vocabulary_id, direction, exercise_type) DO UPDATE SET (%s) = ROW(%s)',
+            columns, columns, columns, excluded
+        ) USING card;
+    END LOOP;
+
+    FOR entry IN SELECT * FROM jsonb_array_elements(p_history) LOOP
+        SELECT string_agg(quote_ident(key), ', ')
+        INTO columns
+        FROM jsonb_object_keys(entry) AS key;
+
+        EXECUTE format(
+            'INSERT INTO review_history (%s) SELECT %s FROM jsonb_populate_record(NULL::review_history, $1)',
+            columns, columns
+        ) USING entry;
+    END LOOP;
+
+    UPDATE review_batches
+    SET status = 'completed', response = p_response, completed_at = NOW()
+    WHERE id = p_batch_id;
+END;
+$$ LANGUAGE plpgsql;
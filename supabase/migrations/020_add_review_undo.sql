@@ -0,0 +1,7 @@
+-- Undo last review. `previous_state` is the card's scheduling columns before
+-- the review, so undoing it can restore the card exactly; `card_created`
+-- marks reviews that created the card. Reviews logged before this migration
+-- only have previous_interval / previous_easiness to go on.
+ALTER TABLE review_history
+ADD COLUMN previous_state JSONB,
+ADD COLUMN card_created BOOLEAN DEFAULT FALSE NOT NULL;
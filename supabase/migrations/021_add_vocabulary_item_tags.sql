@@ -0,0 +1,5 @@
+-- Per-item tags, filled by CSV / TSV imports
+ALTER TABLE vocabulary_items
+ADD COLUMN tags TEXT[] DEFAULT '{}';
+
+CREATE INDEX idx_vocabulary_items_tags ON vocabulary_items USING GIN(tags);
@@ -0,0 +1,48 @@
+-- A bulk review batch left 'processing' by a crashed request can be claimed
+-- again once it is stale; the claim is identified by the row's created_at,
+-- which a takeover resets. A batch is only applied by the request holding
+-- the current claim.
+DROP FUNCTION IF EXISTS apply_review_batch(UUID, JSONB, JSONB, JSONB);
+
+CREATE OR REPLACE FUNCTION apply_review_batch(p_batch_id UUID, p_claimed_at TIMESTAMP WITH TIME ZONE, p_cards JSONB, p_history JSONB, p_response JSONB)
+RETURNS VOID AS $$
+DECLARE
+    card JSONB;
+    entry JSONB;
+    columns TEXT;
+    excluded TEXT;
+BEGIN
+    -- Completing the batch first locks the row, so a takeover waits for
+    -- this transaction and then no longer finds a 'processing' claim
+    UPDATE review_batches
+    SET status = 'completed', response = p_response, completed_at = NOW()
+    WHERE id = p_batch_id AND status = 'processing' AND created_at = p_claimed_at;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Review batch % is no longer claimed by this request', p_batch_id;
+    END IF;
+
+    FOR card IN SELECT * FROM jsonb_array_elements(p_cards) LOOP
+        SELECT string_agg(quote_ident(key), ', '), string_agg('EXCLUDED.' || quote_ident(key), ', ')
+        INTO columns, excluded
+        FROM jsonb_object_keys(card) AS key;
+
+        EXECUTE format(
+            'INSERT INTO user_vocabulary (%s) SELECT %s FROM jsonb_populate_record(NULL::user_vocabulary, $1)
+             ON CONFLICT (user_id, vocabulary_id, direction, exercise_type) DO UPDATE SET (%s) = ROW(%s)',
+            columns, columns, columns, excluded
+        ) USING card;
+    END LOOP;
+
+    FOR entry IN SELECT * FROM jsonb_array_elements(p_history) LOOP
+        SELECT string_agg(quote_ident(key), ', ')
+        INTO columns
+        FROM jsonb_object_keys(entry) AS key;
+
+        EXECUTE format(
+            'INSERT INTO review_history (%s) SELECT %s FROM jsonb_populate_record(NULL::review_history, $1)',
+            columns, columns
+        ) USING entry;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
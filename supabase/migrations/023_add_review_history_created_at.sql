@@ -0,0 +1,54 @@
+-- Undo picks the last review submitted, not the one with the latest
+-- reviewed_at: offline sync and bulk submissions log reviews with the time
+-- the client made them. clock_timestamp() keeps the rows of one batch
+-- (written in a single transaction) in order. Existing rows are taken to
+-- have been submitted when they were reviewed.
+ALTER TABLE review_history
+ADD COLUMN created_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE review_history SET created_at = reviewed_at;
+
+ALTER TABLE review_history
+ALTER COLUMN created_at SET DEFAULT clock_timestamp(),
+ALTER COLUMN created_at SET NOT NULL;
+
+CREATE INDEX idx_review_history_user_created ON review_history(user_id, created_at DESC);
+
+-- Reverts one review in a single transaction: the history row is removed and
+-- the card is deleted (p_state NULL) or gets back the columns in p_state.
+-- Returns false when the review was already undone.
+CREATE OR REPLACE FUNCTION undo_review(p_history_id UUID, p_user_id UUID, p_state JSONB)
+RETURNS BOOLEAN AS $$
+DECLARE
+    review review_history%ROWTYPE;
+    columns TEXT;
+BEGIN
+    DELETE FROM review_history
+    WHERE id = p_history_id AND user_id = p_user_id
+    RETURNING * INTO review;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    IF p_state IS NULL THEN
+        DELETE FROM user_vocabulary
+        WHERE user_id = p_user_id
+            AND vocabulary_id = review.vocabulary_id
+            AND direction = review.direction
+            AND exercise_type = review.exercise_type;
+    ELSE
+        SELECT string_agg(quote_ident(key), ', ')
+        INTO columns
+        FROM jsonb_object_keys(p_state) AS key;
+
+        EXECUTE format(
+            'UPDATE user_vocabulary SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::user_vocabulary, $1))
+             WHERE user_id = $2 AND vocabulary_id = $3 AND direction = $4 AND exercise_type = $5',
+            columns, columns
+        ) USING p_state, p_user_id, review.vocabulary_id, review.direction, review.exercise_type;
+    END IF;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
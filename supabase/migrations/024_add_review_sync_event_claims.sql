@@ -0,0 +1,10 @@
+-- Event IDs are generated by clients, so they are only unique per user.
+-- A claim left 'processing' by a crashed upload can be taken over once it
+-- is stale; the claim is identified by claimed_at, which a takeover resets.
+ALTER TABLE review_sync_events DROP CONSTRAINT review_sync_events_pkey;
+ALTER TABLE review_sync_events ADD PRIMARY KEY (user_id, event_id);
+
+ALTER TABLE review_sync_events ADD COLUMN claimed_at TIMESTAMP WITH TIME ZONE;
+UPDATE review_sync_events SET claimed_at = COALESCE(processed_at, NOW());
+ALTER TABLE review_sync_events ALTER COLUMN claimed_at SET DEFAULT NOW();
+ALTER TABLE review_sync_events ALTER COLUMN claimed_at SET NOT NULL;
@@ -0,0 +1,118 @@
+const supabase = require('../src/config/database');
+const ankiPackage = require('../src/services/ankiPackage');
+const reviewQueue = require('../src/services/reviewQueue');
+
+describe('Anki Package', () => {
+    const now = new Date('2024-03-10T12:00:00.000Z');
+    const list = { id: 'l1', name: 'Animals' };
+    const items = [
+        { id: 'w1', word: 'cat', meaning: 'con mèo', pronunciation: '/kæt/', example_sentence: 'The cat <sleeps> & purrs.', image_url: 'https://example.com/cat.png', tags: ['pets'] },
+        { id: 'w2', word: 'dog', meaning: 'con chó', tags: [] }
+    ];
+    const progress = [
+        { vocabulary_id: 'w1', direction: 'forward', exercise_type: 'any', state: 'review', interval: 6, easiness_factor: 2.36, next_review_date: '2024-03-14T12:00:00.000Z', total_reviews: 3, lapses: 1, is_suspended: false },
+        { vocabulary_id: 'w1', direction: 'reverse', exercise_type: 'any', state: 'learning', interval: 0, easiness_factor: 2.5, next_review_date: '2024-03-10T12:10:00.000Z', total_reviews: 1, lapses: 0, is_suspended: true }
+    ];
+    const history = [
+        { vocabulary_id: 'w1', direction: 'forward', exercise_type: 'any', quality: 2, response_time: 4000, previous_interval: 0, new_interval: 1, new_easiness: 2.5, reviewed_at: '2024-03-01T12:00:00.000Z' },
+        { vocabulary_id: 'w1', direction: 'forward', exercise_type: 'any', quality: 0, response_time: 9000, previous_interval: 1, new_interval: 1, new_easiness: 2.3, reviewed_at: '2024-03-02T12:00:00.000Z' },
+        { vocabulary_id: 'w1', direction: 'forward', exercise_type: 'any', quality: 3, response_time: null, previous_interval: 1, new_interval: 6, new_easiness: 2.36, reviewed_at: '2024-03-08T12:00:00.000Z' },
+        { vocabulary_id: 'w1', direction: 'reverse', exercise_type: 'any', quality: 1, response_time: 7000, previous_interval: 0, new_interval: 0, new_easiness: 2.5, reviewed_at: '2024-03-10T11:50:00.000Z' }
+    ];
+
+    test('should round-trip a list and its progress through an .apkg file', async () => {
+        const file = await ankiPackage.writePackage(ankiPackage.toCollection(list, items, progress, history, now));
+        const collection = await ankiPackage.readPackage(file);
+        const deck = ankiPackage.toDeck(collection, { reverseCards: true }, now);
+
+        expect(deck.name).toBe('Animals');
+        expect(deck.notes.map(note => note.item)).toEqual([
+            { word: 'cat', meaning: 'con mèo', pronunciation: '/kæt/', example_sentence: 'The cat <sleeps> & purrs.', image_url: 'https://example.com/cat.png', audio_url: null, tags: ['pets'] },
+            { word: 'dog', meaning: 'con chó', pronunciation: null, example_sentence: null, image_url: null, audio_url: null, tags: [] }
+        ]);
+
+        const [forward, reverse] = deck.notes[0].cards;
+        expect(forward.progress).toMatchObject({
+            direction: 'forward',
+            state: 'review',
+            interval: 6,
+            easiness_factor: 2.36,
+            repetitions: 1,
+            lapses: 1,
+            next_review_date: new Date('2024-03-14T00:00:00.000Z'),
+            total_reviews: 3,
+            correct_reviews: 2,
+            is_suspended: false
+        });
+        expect(forward.history.map(row => row.quality)).toEqual([2, 0, 3]);
+        expect(forward.history[0]).toMatchObject({ response_time: 4000, is_correct: true, reviewed_at: new Date('2024-03-01T12:00:00.000Z') });
+
+        expect(reverse.progress).toMatchObject({ direction: 'reverse', state: 'learning', is_suspended: true, next_review_date: new Date('2024-03-10T12:10:00.000Z') });
+
+        // Introduced on the first review in Anki, not on the day of the import
+        expect(forward.progress.first_learned_at).toEqual(new Date('2024-03-01T12:00:00.000Z'));
+
+        // Never reviewed: new in Anki, and no card row here
+        expect(deck.notes[1].cards).toEqual([{ direction: 'forward', progress: null, history: [] }]);
+    });
+
+    test('should keep only forward cards without reverse cards on', async () => {
+        const file = await ankiPackage.writePackage(ankiPackage.toCollection(list, items, progress, history, now));
+        const deck = ankiPackage.toDeck(await ankiPackage.readPackage(file), {}, now);
+
+        expect(deck.notes[0].cards.map(card => card.direction)).toEqual(['forward']);
+    });
+
+    test('should map fields of other note types and skip bundled media', () => {
+        const { item, localMedia } = ankiPackage.toItem(
+            ['Front', 'Back', 'Picture'],
+            ['<b>apple</b>&nbsp;', 'quả táo<br>trái táo [sound:apple.mp3]', '<img src="apple.jpg">'],
+            ['fruit', 'leech']
+        );
+
+        expect(item).toMatchObject({ word: 'apple', meaning: 'quả táo\ntrái táo', image_url: null, tags: ['fruit'] });
+        expect(localMedia).toBe(true);
+    });
+
+    test('should cut pronunciations to the column limit', () => {
+        const { item } = ankiPackage.toItem(['Word', 'Meaning', 'Pronunciation'], ['apple', 'quả táo', 'ˈæp.əl '.repeat(40)], []);
+
+        expect(item.pronunciation).toHaveLength(200);
+        expect(item.pronunciation.startsWith('ˈæp.əl ˈæp.əl')).toBe(true);
+    });
+
+    test('should reject files that are not legacy Anki packages', async () => {
+        expect(await ankiPackage.readPackage(Buffer.from('not a zip'))).toEqual({ error: 'Not a valid .apkg file' });
+    });
+
+    test('should not count imported scheduled cards as new cards today', async () => {
+        const file = await ankiPackage.writePackage(ankiPackage.toCollection(list, items, progress, history, now));
+        const deck = ankiPackage.toDeck(await ankiPackage.readPackage(file), {}, now);
+        const imported = deck.notes.flatMap(note => note.cards).map(card => card.progress).filter(Boolean);
+
+        // Rows as stored on import day: without a value, first_learned_at
+        // defaults to NOW()
+        jest.spyOn(supabase, 'from').mockImplementation(table => {
+            const filters = [];
+            const query = {
+                select() { return this; },
+                eq() { return this; },
+                gte(column, value) { filters.push([column, value]); return this; },
+                then(resolve) {
+                    const [column, since] = filters[0];
+                    const rows = table === 'user_vocabulary' ? imported : [];
+                    const count = rows.filter(row => new Date(row[column] ?? now) >= new Date(since)).length;
+                    return Promise.resolve({ count, error: null }).then(resolve);
+                }
+            };
+            return query;
+        });
+
+        const today = await reviewQueue.getTodayCounts('u1', 'UTC', now);
+
+        expect(imported.length).toBeGreaterThan(0);
+        expect(today).toEqual({ newCards: 0, reviews: 0 });
+
+        jest.restoreAllMocks();
+    });
+});
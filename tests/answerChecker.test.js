@@ -0,0 +1,58 @@
+const answerChecker = require('../src/services/answerChecker');
+const exerciseBuilder = require('../src/services/exerciseBuilder');
+
+describe('Answer Checker', () => {
+    test('should fold case, diacritics and punctuation', () => {
+        expect(answerChecker.check('  Café! ', 'cafe')).toMatchObject({ correct: true, match: 'exact', quality: 2 });
+        expect(answerChecker.check('Đà Nẵng', 'da nang').match).toBe('exact');
+    });
+
+    test('should accept regular inflections', () => {
+        ['books', 'watches', 'studies', 'studied', 'stopped', 'making', 'lying'].forEach((answer, i) => {
+            const expected = ['book', 'watch', 'study', 'study', 'stop', 'make', 'lie'][i];
+            expect(answerChecker.check(answer, expected).match).toBe('inflection');
+        });
+        expect(answerChecker.check('looked up', 'look up').match).toBe('inflection');
+    });
+
+    test('should tolerate typos relative to word length', () => {
+        expect(answerChecker.check('recieve', 'receive')).toMatchObject({ correct: true, match: 'typo', distance: 1, quality: 1 });
+        expect(answerChecker.check('recve', 'receive').match).toBe('wrong');
+        expect(answerChecker.check('accomodaton', 'accommodation').match).toBe('typo');
+        expect(answerChecker.check('cst', 'cat')).toMatchObject({ correct: false, quality: 0 });
+        expect(answerChecker.check('', 'cat').match).toBe('wrong');
+    });
+
+    test('should require the exact term in spelling drills', () => {
+        expect(answerChecker.checkSpelling('Receive', 'receive')).toMatchObject({ match: 'exact', quality: 2 });
+        expect(answerChecker.checkSpelling('receives', 'receive')).toMatchObject({ match: 'typo', quality: 1 });
+        expect(answerChecker.checkSpelling('books', 'book').match).toBe('wrong');
+    });
+
+    test('should report letter-level differences', () => {
+        expect(answerChecker.diff('recive', 'receive')).toEqual([
+            { letter: 'r', status: 'correct' },
+            { letter: 'e', status: 'correct' },
+            { letter: 'c', status: 'correct' },
+            { letter: 'e', status: 'missing' },
+            { letter: 'i', status: 'correct' },
+            { letter: 'v', status: 'correct' },
+            { letter: 'e', status: 'correct' }
+        ]);
+        expect(answerChecker.diff('cst', 'cat')[1]).toEqual({ letter: 's', expected: 'a', status: 'wrong' });
+        expect(answerChecker.diff('catt', 'cat')).toContainEqual({ letter: 't', status: 'extra' });
+    });
+
+    test('should blank inflected forms without leaking the answer', () => {
+        const exercise = exerciseBuilder.fillInBlank({
+            id: 'w1',
+            word: 'book',
+            meaning: 'quyển sách',
+            example_sentence: 'She booked two books.'
+        });
+
+        expect(exercise.blankedSentence).toBe('She _____ two _____.');
+        expect(exercise).not.toHaveProperty('word');
+        expect(exercise).not.toHaveProperty('originalSentence');
+    });
+});
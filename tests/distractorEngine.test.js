@@ -0,0 +1,43 @@
+const distractorEngine = require('../src/services/distractorEngine');
+
+describe('Distractor Engine', () => {
+    const target = { id: 't', word: 'happy', meaning: 'vui vẻ', part_of_speech: 'adjective', difficulty_level: 'beginner', synonyms: ['glad'] };
+    const pool = [
+        target,
+        { id: 'glad', word: 'glad', meaning: 'vui mừng', part_of_speech: 'adjective' },
+        { id: 'joyful', word: 'joyful', meaning: 'vui vẻ', part_of_speech: 'adjective' },
+        { id: 'hoppy', word: 'hoppy', meaning: 'có vị hoa bia', part_of_speech: 'adjective', difficulty_level: 'beginner' },
+        { id: 'sad', word: 'sad', meaning: 'buồn', part_of_speech: 'adjective', difficulty_level: 'beginner' },
+        { id: 'angry', word: 'angry', meaning: 'tức giận', part_of_speech: 'adjective', difficulty_level: 'beginner' },
+        { id: 'tired', word: 'tired', meaning: 'mệt mỏi', part_of_speech: 'adjective', difficulty_level: 'beginner' },
+        { id: 'table', word: 'table', meaning: 'cái bàn', part_of_speech: 'noun', difficulty_level: 'advanced' },
+        { id: 'run', word: 'run', meaning: 'chạy', part_of_speech: 'verb', difficulty_level: 'advanced' }
+    ];
+    const ids = (distractors) => distractors.map(d => d.id).sort();
+
+    test('should never offer the target or its synonyms', () => {
+        const picked = ids(distractorEngine.pick(target, pool));
+
+        expect(picked).toHaveLength(3);
+        expect(picked).not.toContain('t');
+        expect(picked).not.toContain('glad');
+        expect(picked).not.toContain('joyful'); // same meaning
+    });
+
+    test('should prefer same part of speech, difficulty and similar spelling', () => {
+        const picked = ids(distractorEngine.pick(target, pool));
+
+        expect(picked).toContain('hoppy');
+        expect(picked).not.toContain('table');
+        expect(picked).not.toContain('run');
+    });
+
+    test('should not repeat a distractor set the user has already seen', () => {
+        const history = [];
+        for (let i = 0; i < 4; i++) {
+            history.push(distractorEngine.signature(distractorEngine.pick(target, pool, { history })));
+        }
+
+        expect(new Set(history).size).toBe(4);
+    });
+});
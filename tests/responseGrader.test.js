@@ -0,0 +1,33 @@
+const responseGrader = require('../src/services/responseGrader');
+const reviewService = require('../src/services/reviewService');
+
+describe('Response Grader', () => {
+    test('should rate correct answers by pace relative to the median', () => {
+        expect(responseGrader.derive(true, 2000, 4000)).toBe(3);
+        expect(responseGrader.derive(true, 4000, 4000)).toBe(2);
+        expect(responseGrader.derive(true, 6000, 4000)).toBe(2);
+        expect(responseGrader.derive(true, 6500, 4000)).toBe(1);
+        expect(responseGrader.derive(false, 1000, 4000)).toBe(0);
+    });
+
+    test('should fall back to Good without a known pace', () => {
+        expect(responseGrader.derive(true, 2000, null)).toBe(2);
+        expect(responseGrader.derive(true, undefined, 4000)).toBe(2);
+    });
+
+    test('should compute the median of response times', () => {
+        expect(responseGrader.median([5000, 1000, 3000])).toBe(3000);
+        expect(responseGrader.median([4000, 1000, 3000, 2000])).toBe(2500);
+    });
+
+    test('should keep the self-reported rating unless automatic grading applies', async () => {
+        expect(await reviewService.resolveQuality('u1', {}, { performance: 3 }))
+            .toEqual({ quality: 3, rawQuality: 3, derivedQuality: null, gradingMode: 'self' });
+        expect(await reviewService.resolveQuality('u1', {}, { performance: 3, correct: false }))
+            .toEqual({ quality: 3, rawQuality: 3, derivedQuality: 0, gradingMode: 'self' });
+        expect(await reviewService.resolveQuality('u1', { autoGrade: true }, { performance: 3, correct: false }))
+            .toEqual({ quality: 0, rawQuality: 3, derivedQuality: 0, gradingMode: 'auto' });
+        expect(await reviewService.resolveQuality('u1', {}, { correct: false }))
+            .toMatchObject({ quality: 0, rawQuality: null, gradingMode: 'auto' });
+    });
+});
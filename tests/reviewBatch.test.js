@@ -0,0 +1,106 @@
+const supabase = require('../src/config/database');
+const reviewBatch = require('../src/services/reviewBatch');
+const spacedRepetition = require('../src/services/spacedRepetition');
+const { reviewValidators } = require('../src/middleware/validation/validators');
+const { BATCH_OUTCOMES, CLAIM_TIMEOUT_MS } = reviewBatch;
+
+describe('Review Batch', () => {
+    const reviews = [{ vocabularyId: '3f2b8c1e-4d5a-4b6c-9e7f-1a2b3c4d5e6f', performance: 2 }];
+
+    test('should answer a retried request from the stored response', () => {
+        const requestHash = reviewBatch.hash(reviews);
+        const response = { results: [], total: 1, correct: 1 };
+
+        expect(reviewBatch.previousOutcome({ request_hash: requestHash, status: 'completed', response }, requestHash))
+            .toEqual({ outcome: BATCH_OUTCOMES.REPLAYED, response });
+        expect(reviewBatch.previousOutcome({ request_hash: requestHash, status: 'processing' }, requestHash))
+            .toEqual({ outcome: BATCH_OUTCOMES.IN_PROGRESS });
+        expect(reviewBatch.previousOutcome({ request_hash: requestHash, status: 'completed', response }, reviewBatch.hash([])))
+            .toEqual({ outcome: BATCH_OUTCOMES.KEY_REUSED });
+    });
+
+    test('should validate each review with the single review rules', async () => {
+        const validateEach = reviewValidators.submitBatch[reviewValidators.submitBatch.length - 1];
+        const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+        const next = jest.fn();
+
+        await validateEach({ body: { reviews: [...reviews, { vocabularyId: 'nope', performance: 2 }, { vocabularyId: reviews[0].vocabularyId }] } }, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].details.map(detail => detail.field)).toEqual(['reviews[1].vocabularyId', 'reviews[2].correct']);
+
+        await validateEach({ body: { reviews } }, res, next);
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('should reclaim a key left processing by a crashed request', async () => {
+        const now = new Date('2025-01-10T03:00:00.000Z');
+        const stale = {
+            id: 'b1',
+            request_hash: reviewBatch.hash(reviews),
+            status: 'processing',
+            response: null,
+            created_at: new Date(now - CLAIM_TIMEOUT_MS - 1000).toISOString()
+        };
+        const results = [
+            { error: { code: '23505' } },
+            { data: stale, error: null },
+            { data: { id: 'b1', created_at: now.toISOString() }, error: null }
+        ];
+        const updates = [];
+        const filters = [];
+        const query = {
+            insert() { return this; },
+            update(values) { updates.push(values); return this; },
+            select() { return this; },
+            eq(column, value) { filters.push([column, value]); return this; },
+            single() { return Promise.resolve(results.shift()); },
+            maybeSingle() { return Promise.resolve(results.shift()); }
+        };
+        jest.spyOn(supabase, 'from').mockReturnValue(query);
+
+        const claim = await reviewBatch.claim('u1', 'key-1', stale.request_hash, now);
+
+        expect(claim).toEqual({ claimed: true, batch: { id: 'b1', created_at: now.toISOString() } });
+        expect(updates).toEqual([{ created_at: now.toISOString() }]);
+        // Only the claim that was found stale is taken over
+        expect(filters).toEqual(expect.arrayContaining([['status', 'processing'], ['created_at', stale.created_at]]));
+
+        // A different payload under the same key is not a retry
+        results.push({ error: { code: '23505' } }, { data: stale, error: null });
+        await expect(reviewBatch.claim('u1', 'key-1', reviewBatch.hash([]), now))
+            .resolves.toEqual({ claimed: false, batch: stale });
+        expect(updates).toHaveLength(1);
+
+        // A recent claim still belongs to the request that made it
+        expect(reviewBatch.isStale({ ...stale, created_at: new Date(now - 1000).toISOString() }, now)).toBe(false);
+        expect(reviewBatch.isStale({ ...stale, status: 'completed' }, now)).toBe(false);
+
+        jest.restoreAllMocks();
+    });
+
+    test('should schedule a new word without writing it outside the batch', async () => {
+        jest.spyOn(spacedRepetition, 'getSchedulingConfig').mockResolvedValue({
+            scheduler: 'sm2', learningSteps: [1, 10], relearningSteps: [10], leechThreshold: 8, loadBalancing: false
+        });
+        const writes = [];
+        const query = {
+            select() { return this; },
+            eq() { return this; },
+            single: () => Promise.resolve({ data: null, error: { code: 'PGRST116' } })
+        };
+        ['insert', 'update', 'upsert', 'delete'].forEach(method => {
+            query[method] = () => { writes.push(method); return query; };
+        });
+        jest.spyOn(supabase, 'from').mockReturnValue(query);
+
+        const prepared = await reviewBatch.prepare('u1', reviews);
+
+        expect(writes).toEqual([]);
+        expect(prepared.cards).toEqual([expect.objectContaining({ vocabulary_id: reviews[0].vocabularyId, state: 'learning', total_reviews: 1 })]);
+        expect(prepared.history).toEqual([expect.objectContaining({ card_created: true, previous_state: null })]);
+
+        jest.restoreAllMocks();
+    });
+});
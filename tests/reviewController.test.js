@@ -0,0 +1,16 @@
+const reviewController = require('../src/controllers/reviewController');
+
+describe('Review Controller', () => {
+    test('should count typed-answer exercises as recall without reverse cards', () => {
+        const stats = reviewController.calculateDirectionStats([
+            { direction: 'forward', exercise: 'spelling', is_correct: true },
+            { direction: 'forward', exercise: 'fill-in-blank', is_correct: false },
+            { direction: 'forward', exercise: 'word-association', is_correct: true },
+            { direction: 'forward', exercise: null, is_correct: true },
+            { direction: 'reverse', exercise: null, is_correct: false }
+        ]);
+
+        expect(stats.recognition).toEqual({ total: 2, correct: 2, accuracy: 100 });
+        expect(stats.recall).toEqual({ total: 3, correct: 1, accuracy: 33 });
+    });
+});
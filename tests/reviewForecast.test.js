@@ -0,0 +1,40 @@
+const reviewForecast = require('../src/services/reviewForecast');
+
+describe('Review Forecast', () => {
+    const now = new Date('2025-01-10T03:00:00Z'); // 10:00 in Ho Chi Minh City
+    const config = { scheduler: 'sm2', timezone: 'Asia/Ho_Chi_Minh' };
+
+    test('should bucket due cards by day in the user timezone', () => {
+        const result = reviewForecast.buildForecast([
+            // 23:30 on Jan 10 local time, still "today"
+            { state: 'review', repetitions: 5, interval: 30, last_review_date: '2024-12-11T16:30:00Z', next_review_date: '2025-01-10T16:30:00Z' },
+            { state: 'new', next_review_date: '2025-01-09T00:00:00Z' }
+        ], config, 7, now);
+
+        expect(result.forecast[0].date).toBe('2025-01-10');
+        expect(result.forecast[0].review).toBe(1);
+        expect(result.forecast[0].new).toBe(1);
+        expect(result.overdue).toBe(1);
+    });
+
+    test('should project follow-up reviews with the scheduler', () => {
+        const result = reviewForecast.buildForecast([
+            { state: 'new', next_review_date: now.toISOString() }
+        ], config, 10, now);
+
+        // New today, then SM-2 intervals of 1 and 6 days
+        expect(result.forecast[0].new).toBe(1);
+        expect(result.forecast[1].review).toBe(1);
+        expect(result.forecast[7].review).toBe(1);
+        expect(result.totals.total).toBe(3);
+    });
+
+    test('should skip cards until their bury ends', () => {
+        const result = reviewForecast.buildForecast([
+            { state: 'review', repetitions: 5, interval: 30, next_review_date: now.toISOString(), buried_until: '2025-01-10T17:00:00Z' }
+        ], config, 3, now);
+
+        expect(result.forecast[0].total).toBe(0);
+        expect(result.forecast[1].review).toBe(1);
+    });
+});
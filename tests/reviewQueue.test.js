@@ -0,0 +1,114 @@
+const supabase = require('../src/config/database');
+const reviewQueue = require('../src/services/reviewQueue');
+const exerciseBuilder = require('../src/services/exerciseBuilder');
+
+describe('Review Queue', () => {
+    const card = (type, id, nextReviewDate = null) => ({ type, vocabularyId: id, nextReviewDate });
+    const learning = [card('learning', 'l1')];
+    const reviews = [
+        card('review', 'r1', '2025-01-08T03:00:00Z'),
+        card('review', 'r2', '2025-01-09T03:00:00Z'),
+        card('review', 'r3', '2025-01-09T04:00:00Z'),
+        card('review', 'r4', '2025-01-10T03:00:00Z')
+    ];
+    const newCards = [card('new', 'n1'), card('new', 'n2')];
+    const ids = (queue) => queue.map(item => item.vocabularyId);
+
+    test('should serve learning cards first, then due reviews before new words', () => {
+        const queue = reviewQueue.orderQueue({ learning, reviews, newCards }, 'due-first');
+
+        expect(ids(queue)).toEqual(['l1', 'r1', 'r2', 'r3', 'r4', 'n1', 'n2']);
+    });
+
+    test('should serve new words first when configured', () => {
+        const queue = reviewQueue.orderQueue({ learning, reviews, newCards }, 'new-first');
+
+        expect(ids(queue)).toEqual(['l1', 'n1', 'n2', 'r1', 'r2', 'r3', 'r4']);
+    });
+
+    test('should interleave new words evenly between reviews', () => {
+        const queue = reviewQueue.orderQueue({ learning, reviews, newCards }, 'interleaved');
+
+        expect(ids(queue)).toEqual(['l1', 'r1', 'r2', 'n1', 'r3', 'r4', 'n2']);
+    });
+
+    test('should only shuffle reviews within the same due day', () => {
+        const queue = reviewQueue.orderQueue({ reviews }, 'random', 'Asia/Ho_Chi_Minh');
+
+        expect(ids(queue)[0]).toBe('r1');
+        expect(ids(queue).slice(1, 3).sort()).toEqual(['r2', 'r3']);
+        expect(ids(queue)[3]).toBe('r4');
+    });
+
+    test('should serve only one card per word and keep its direction', () => {
+        const rows = [
+            { vocabulary_id: 'w1', direction: 'reverse', exercise_type: 'any', state: 'review', next_review_date: '2025-01-08T03:00:00Z' },
+            { vocabulary_id: 'w1', direction: 'forward', exercise_type: 'any', state: 'review', next_review_date: '2025-01-09T03:00:00Z' },
+            { vocabulary_id: 'w2', direction: 'forward', exercise_type: 'spelling', state: 'learning', next_review_date: '2025-01-09T03:00:00Z' }
+        ];
+
+        const items = reviewQueue.dropSiblings(rows.map(row => reviewQueue.toQueueItem(row)));
+
+        expect(items.map(item => [item.vocabularyId, item.direction, item.exerciseType])).toEqual([
+            ['w1', 'reverse', null],
+            ['w2', 'forward', 'spelling']
+        ]);
+    });
+
+    test('should pick harder exercises as cards mature', () => {
+        const word = { id: 'w1', word: 'apple', meaning: 'quả táo', example_sentence: 'I eat an apple.' };
+        const item = (state, interval, direction = 'reverse', vocabulary = word) => reviewQueue.toQueueItem({
+            vocabulary_id: 'w1', direction, exercise_type: 'any', state, interval, next_review_date: '2025-01-09T03:00:00Z', vocabulary
+        });
+
+        expect(exerciseBuilder.smartMode(reviewQueue.toQueueItem(null, word))).toBe('flashcard');
+        expect(exerciseBuilder.smartMode(item('learning', 0))).toBe('flashcard');
+        expect(exerciseBuilder.smartMode(item('review', 5))).toBe('multiple-choice');
+        expect(exerciseBuilder.smartMode(item('review', 30))).toBe('fill-in-blank');
+        expect(exerciseBuilder.smartMode(item('review', 30, 'reverse', { ...word, example_sentence: null }))).toBe('spelling');
+        // Recognition cards stay on recognition exercises
+        expect(exerciseBuilder.smartMode(item('review', 30, 'forward'), { reverseCards: true })).toBe('word-association');
+        expect(exerciseBuilder.smartMode(item('review', 30, 'forward'))).toBe('fill-in-blank');
+    });
+
+    test('should serve unlearned words from the user\'s own lists, then public ones', async () => {
+        const own = { name: 'Mine', owner_id: 'u1', privacy: 'private' };
+        const shared = { name: 'Shared', owner_id: 'u2', privacy: 'public' };
+        const rows = {
+            user_vocabulary: [[{ vocabulary_id: 'w1' }]],
+            vocabulary_items: [
+                [{ id: 'w1', word: 'cat', list: own }, { id: 'w2', word: 'dog', list: own }],
+                [{ id: 'w3', word: 'bird', list: shared }, { id: 'w4', word: 'fish', list: shared }]
+            ]
+        };
+        jest.spyOn(supabase, 'from').mockImplementation(table => ({
+            select() { return this; },
+            eq() { return this; },
+            neq() { return this; },
+            order() { return this; },
+            range: () => Promise.resolve({ data: rows[table].shift(), error: null })
+        }));
+
+        const words = await reviewQueue.getUnlearnedWords('u1', 2);
+
+        expect(words).toEqual([
+            { id: 'w2', word: 'dog', list: { name: 'Mine' } },
+            { id: 'w3', word: 'bird', list: { name: 'Shared' } }
+        ]);
+
+        jest.restoreAllMocks();
+    });
+
+    test('should not hide query errors behind an empty list of new words', async () => {
+        const failure = { message: 'failed to parse filter' };
+        jest.spyOn(supabase, 'from').mockImplementation(() => ({
+            select() { return this; },
+            eq() { return this; },
+            range: () => Promise.resolve({ data: null, error: failure })
+        }));
+
+        await expect(reviewQueue.getUnlearnedWords('u1', 5)).rejects.toBe(failure);
+
+        jest.restoreAllMocks();
+    });
+});
@@ -0,0 +1,77 @@
+const supabase = require('../src/config/database');
+const reviewService = require('../src/services/reviewService');
+
+describe('Review Service', () => {
+    test('should snapshot the card columns a review changes for undo', () => {
+        const progress = {
+            id: 'c1',
+            vocabulary_id: 'w1',
+            easiness_factor: 2.36,
+            repetitions: 3,
+            interval: 6,
+            next_review_date: '2024-03-07T08:00:00.000Z',
+            state: 'review',
+            learning_step: 0,
+            lapses: 1,
+            last_review_date: '2024-03-01T08:00:00.000Z',
+            total_reviews: 5,
+            correct_reviews: 4,
+            is_leech: false
+        };
+
+        expect(reviewService.snapshot(progress)).toEqual({
+            easiness_factor: 2.36,
+            repetitions: 3,
+            interval: 6,
+            next_review_date: '2024-03-07T08:00:00.000Z',
+            stability: null,
+            difficulty: null,
+            state: 'review',
+            learning_step: 0,
+            lapses: 1,
+            last_review_date: '2024-03-01T08:00:00.000Z',
+            total_reviews: 5,
+            correct_reviews: 4,
+            is_leech: false,
+            is_suspended: false
+        });
+    });
+
+    test('should undo the last submitted review in one transaction', async () => {
+        const review = {
+            id: 'h2',
+            vocabulary_id: 'w1',
+            direction: 'forward',
+            exercise_type: 'any',
+            quality: 2,
+            card_created: false,
+            previous_state: { interval: 6, state: 'review', next_review_date: '2024-03-07T08:00:00.000Z' },
+            // Synced from a device, with the time the review was made there
+            reviewed_at: '2024-03-01T08:00:00.000Z'
+        };
+        const orders = [];
+        const query = {
+            select() { return this; },
+            eq() { return this; },
+            order(column, options) { orders.push([column, options]); return this; },
+            limit() { return this; },
+            maybeSingle: () => Promise.resolve({ data: review, error: null })
+        };
+        jest.spyOn(supabase, 'from').mockReturnValue(query);
+        supabase.rpc = jest.fn().mockResolvedValue({ data: true, error: null });
+        jest.spyOn(reviewService, 'updateUserStats').mockResolvedValue();
+
+        const result = await reviewService.undoLastReview('u1');
+
+        expect(orders).toEqual([['created_at', { ascending: false }]]);
+        expect(supabase.rpc).toHaveBeenCalledWith('undo_review', { p_history_id: 'h2', p_user_id: 'u1', p_state: review.previous_state });
+        expect(result).toMatchObject({ vocabularyId: 'w1', cardRemoved: false, interval: 6 });
+
+        // Already undone by a concurrent request
+        supabase.rpc.mockResolvedValue({ data: false, error: null });
+        await expect(reviewService.undoLastReview('u1')).resolves.toBeNull();
+
+        delete supabase.rpc;
+        jest.restoreAllMocks();
+    });
+});
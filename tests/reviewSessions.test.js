@@ -0,0 +1,118 @@
+const supabase = require('../src/config/database');
+const reviewSessions = require('../src/services/reviewSessions');
+
+describe('Review Sessions', () => {
+    const start = new Date('2025-01-10T03:00:00Z');
+    const words = [
+        { id: 'w1', word: 'apple', meaning: 'quả táo', example_sentence: 'I eat an apple.' },
+        { id: 'w2', word: 'book', meaning: 'quyển sách', example_sentence: 'Read a book.' },
+        { id: 'w3', word: 'cat', meaning: 'con mèo', example_sentence: 'The cat sleeps.' }
+    ];
+    const later = (seconds) => new Date(start.getTime() + seconds * 1000);
+
+    test('should build one exercise per word for the session mode', () => {
+        const session = reviewSessions.createSession('u1', { mode: 'fill-in-blank', words }, start);
+
+        expect(session.status).toBe('active');
+        expect(session.cards).toHaveLength(3);
+        expect(reviewSessions.currentCard(session).exercise.blankedSentence).toBe('I eat an _____.');
+    });
+
+    test('should review the recall card for typed and reverse exercises', () => {
+        const spelling = reviewSessions.createSession('u1', { mode: 'spelling', words }, start);
+        const flashcards = reviewSessions.createSession('u1', {
+            mode: 'flashcard',
+            words: [{ ...words[0], direction: 'reverse' }, words[1]]
+        }, start);
+
+        expect(spelling.cards[0].direction).toBe('reverse');
+        expect(spelling.cards[0].exercise).not.toHaveProperty('word');
+        expect(flashcards.cards.map(card => card.direction)).toEqual(['reverse', 'forward']);
+        expect(flashcards.cards[0].exercise.direction).toBe('reverse');
+    });
+
+    test('should grade word-order cards against the sentence kept on the server', () => {
+        const session = reviewSessions.createSession('u1', { mode: 'sentence-building', words }, start);
+        const card = reviewSessions.currentCard(session);
+
+        expect(reviewSessions.cardView(card).exercise).not.toHaveProperty('sentence');
+        expect(reviewSessions.grade(card, { tokens: ['I', 'eat', 'an', 'apple'] }))
+            .toMatchObject({ match: 'exact', quality: 2, answer: 'I eat an apple.' });
+        expect(reviewSessions.grade(card, {})).toBeNull();
+    });
+
+    test('should grade speed round options without showing the answer', () => {
+        const distractors = new Map(words.map(word => [word.id, words.filter(other => other.id !== word.id)]));
+        const session = reviewSessions.createSession('u1', { mode: 'speed-round', words, distractors, duration: 60 }, start);
+        const card = reviewSessions.currentCard(session);
+        const wrongOption = card.exercise.options.find(option => option.id !== card.correctOptionId);
+
+        expect(session.timeLimitMs).toBe(60 * 1000);
+        expect(card.exercise.type).toBe('multiple-choice');
+        expect(card.exercise.options.some(option => 'isCorrect' in option)).toBe(false);
+        expect(reviewSessions.grade(card, { optionId: 'w1' })).toEqual({ correct: true, quality: 2, answer: 'w1' });
+        expect(reviewSessions.grade(card, { optionId: wrongOption.id }).quality).toBe(0);
+
+        reviewSessions.recordAnswer(session, { performance: 2, responseTime: 2000, points: 180 });
+        reviewSessions.recordAnswer(session, { performance: 0, responseTime: 4000, points: 0 });
+        reviewSessions.finish(session, later(75));
+
+        expect(session.summary).toMatchObject({ score: 180, durationSeconds: 60, durationMs: 60 * 1000, correct: 1 });
+    });
+
+    test('should not score a speed round card without the chosen option', async () => {
+        const distractors = new Map(words.map(word => [word.id, words.filter(other => other.id !== word.id)]));
+        const session = reviewSessions.createSession('u1', { mode: 'speed-round', words, distractors, duration: 60 }, start);
+
+        await expect(reviewSessions.answer(session, { performance: 3, correct: true, responseTime: 500 }))
+            .rejects.toThrow('Speed round cards must be answered with an option');
+        expect(session.position).toBe(0);
+    });
+
+    test('should not count paused time towards the session duration', () => {
+        const session = reviewSessions.createSession('u1', { mode: 'flashcard', words }, start);
+
+        reviewSessions.pause(session, later(60));
+        reviewSessions.resume(session, later(600));
+
+        expect(session.status).toBe('active');
+        expect(reviewSessions.elapsed(session, later(630))).toBe(90 * 1000);
+    });
+
+    test('should advance through cards and summarize the session', () => {
+        const session = reviewSessions.createSession('u1', { mode: 'flashcard', words }, start);
+
+        reviewSessions.recordAnswer(session, { performance: 2, responseTime: 3000 });
+        reviewSessions.recordAnswer(session, { performance: 0, responseTime: 5000, lapsed: true });
+        expect(reviewSessions.currentCard(session).vocabularyId).toBe('w3');
+
+        reviewSessions.finish(session, later(120));
+
+        expect(session.summary).toEqual({
+            mode: 'flashcard',
+            total: 3,
+            answered: 2,
+            skipped: 1,
+            correct: 1,
+            accuracy: 50,
+            durationMs: 120 * 1000,
+            averageResponseTime: 4000,
+            lapsedWords: [{ vocabularyId: 'w2', word: 'book' }]
+        });
+        expect(reviewSessions.toView(session).currentCard).toBeNull();
+    });
+
+    test('should not start a session on another user\'s private list', async () => {
+        const list = { id: 'l1', owner_id: 'u2', privacy: 'private' };
+        const from = jest.spyOn(supabase, 'from').mockImplementation(() => ({
+            select() { return this; },
+            eq() { return this; },
+            maybeSingle: () => Promise.resolve({ data: list, error: null })
+        }));
+
+        await expect(reviewSessions.pickWords('u1', 'l1', 20)).resolves.toEqual([]);
+        expect(from).toHaveBeenCalledTimes(1);
+
+        jest.restoreAllMocks();
+    });
+});
@@ -0,0 +1,88 @@
+const supabase = require('../src/config/database');
+const reviewSync = require('../src/services/reviewSync');
+const { generateReviewSyncToken } = require('../src/utils/jwtHelper');
+const { SYNC_STATUSES, CLAIM_TIMEOUT_MS } = reviewSync;
+
+describe('Review Sync', () => {
+    const issuedAt = '2024-03-01T08:00:00.000Z';
+    const batch = { batchId: 'b1', userId: 'u1', issuedAt, cards: ['w1:forward', 'w2:reverse'] };
+
+    test('should replay events in chronological order', () => {
+        const events = [
+            { eventId: 'e3', reviewedAt: '2024-03-01T09:05:00.000Z' },
+            { eventId: 'e2', reviewedAt: '2024-03-01T09:00:00.000Z' },
+            { eventId: 'e1', reviewedAt: '2024-03-01T09:00:00.000Z' }
+        ];
+
+        expect(reviewSync.orderEvents(events).map(event => event.eventId)).toEqual(['e1', 'e2', 'e3']);
+    });
+
+    test('should let the most recent review win', () => {
+        const event = { reviewedAt: '2024-03-01T10:00:00.000Z' };
+
+        expect(reviewSync.resolve(event, '2024-02-28T10:00:00.000Z', { issuedAt })).toBe(SYNC_STATUSES.APPLIED);
+        expect(reviewSync.resolve(event, null, { issuedAt })).toBe(SYNC_STATUSES.APPLIED);
+        // Reviewed on another device after the batch was issued, but earlier
+        expect(reviewSync.resolve(event, '2024-03-01T09:00:00.000Z', { issuedAt })).toBe(SYNC_STATUSES.MERGED);
+        // ... or later than the offline review
+        expect(reviewSync.resolve(event, '2024-03-01T11:00:00.000Z', { issuedAt })).toBe(SYNC_STATUSES.SUPERSEDED);
+        // Reviews replayed from the same batch are not conflicts
+        const ownReviews = new Set([Date.parse('2024-03-01T09:00:00.000Z')]);
+        expect(reviewSync.resolve(event, '2024-03-01T09:00:00.000Z', { issuedAt, ownReviews })).toBe(SYNC_STATUSES.APPLIED);
+    });
+
+    test('should reject events outside the batch', () => {
+        const now = new Date('2024-03-02T08:00:00.000Z');
+        const event = { vocabularyId: 'w1', performance: 2, reviewedAt: '2024-03-01T09:00:00.000Z' };
+
+        expect(reviewSync.validateEvent(event, batch, now)).toBeNull();
+        expect(reviewSync.validateEvent({ ...event, vocabularyId: 'w3' }, batch, now)).toBe('card_not_in_batch');
+        expect(reviewSync.validateEvent({ ...event, direction: 'reverse' }, batch, now)).toBe('card_not_in_batch');
+        expect(reviewSync.validateEvent({ ...event, performance: undefined }, batch, now)).toBe('missing_rating');
+        expect(reviewSync.validateEvent({ ...event, reviewedAt: '2024-03-01T07:00:00.000Z' }, batch, now)).toBe('invalid_time');
+        expect(reviewSync.validateEvent({ ...event, reviewedAt: '2024-03-02T09:00:00.000Z' }, batch, now)).toBe('invalid_time');
+    });
+
+    test('should only accept batch tokens issued to the user', () => {
+        const token = generateReviewSyncToken(batch);
+
+        expect(reviewSync.verifyBatch(token, 'u1')).toMatchObject({ batchId: 'b1', cards: batch.cards });
+        expect(reviewSync.verifyBatch(token, 'u2')).toBeNull();
+        expect(reviewSync.verifyBatch(`${token}x`, 'u1')).toBeNull();
+    });
+
+    test('should reclaim an event left processing by a crashed upload', async () => {
+        const now = new Date('2024-03-01T10:00:00.000Z');
+        const event = { eventId: 'e1', vocabularyId: 'w1', performance: 2, reviewedAt: '2024-03-01T09:00:00.000Z' };
+        const stale = { event_id: 'e1', status: 'processing', claimed_at: new Date(now - CLAIM_TIMEOUT_MS - 1000).toISOString() };
+        const results = [
+            { error: { code: '23505' } },
+            { data: stale, error: null },
+            { data: { event_id: 'e1', claimed_at: now.toISOString() }, error: null }
+        ];
+        const updates = [];
+        const filters = [];
+        const query = {
+            insert() { return this; },
+            update(values) { updates.push(values); return this; },
+            select() { return this; },
+            eq(column, value) { filters.push([column, value]); return this; },
+            single() { return Promise.resolve(results.shift()); },
+            maybeSingle() { return Promise.resolve(results.shift()); }
+        };
+        jest.spyOn(supabase, 'from').mockReturnValue(query);
+
+        const claim = await reviewSync.claim('u1', 'b1', event, null, now);
+
+        expect(claim).toEqual({ event_id: 'e1', claimed_at: now.toISOString() });
+        expect(updates).toEqual([expect.objectContaining({ status: 'processing', claimed_at: now.toISOString() })]);
+        // Event IDs are looked up per user, and only the stale claim is taken over
+        expect(filters).toEqual(expect.arrayContaining([['user_id', 'u1'], ['status', 'processing'], ['claimed_at', stale.claimed_at]]));
+
+        // A recent claim still belongs to the upload that made it
+        expect(reviewSync.isStale({ ...stale, claimed_at: new Date(now - 1000).toISOString() }, now)).toBe(false);
+        expect(reviewSync.isStale({ ...stale, status: 'applied' }, now)).toBe(false);
+
+        jest.restoreAllMocks();
+    });
+});
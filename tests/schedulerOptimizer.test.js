@@ -0,0 +1,46 @@
+const schedulerOptimizer = require('../src/services/schedulerOptimizer');
+
+describe('Scheduler Optimizer', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Learner who forgets much faster than the default parameters predict
+    const buildHistory = () => {
+        const history = [];
+        const start = new Date('2025-01-01T08:00:00Z').getTime();
+
+        for (let card = 0; card < 30; card++) {
+            let day = 0;
+            [1, 3, 7, 15].forEach((gap, index) => {
+                history.push({
+                    vocabulary_id: `card-${card}`,
+                    quality: index === 0 || (card + index) % 3 === 0 ? 2 : 0,
+                    reviewed_at: new Date(start + day * DAY_MS).toISOString()
+                });
+                day += gap;
+            });
+        }
+
+        return history;
+    };
+
+    test('should group reviews into chronological per-card sequences', () => {
+        const sequences = schedulerOptimizer.buildSequences([
+            { vocabulary_id: 'a', quality: 2, reviewed_at: '2025-01-03T00:00:00Z' },
+            { vocabulary_id: 'b', quality: 0, reviewed_at: '2025-01-02T00:00:00Z' },
+            { vocabulary_id: 'a', quality: 1, reviewed_at: '2025-01-01T00:00:00Z' }
+        ]);
+
+        expect(sequences).toHaveLength(2);
+        expect(sequences[0].map(r => r.quality)).toEqual([1, 2]);
+    });
+
+    test('should not increase log-loss when fitting parameters', async () => {
+        const sequences = schedulerOptimizer.buildSequences(buildHistory());
+        const result = await schedulerOptimizer.fit(sequences);
+
+        expect(result.parameters).toHaveLength(17);
+        expect(result.logLossAfter).toBeLessThan(result.logLossBefore);
+        expect(result.predictedRetention).toBeGreaterThan(0);
+        expect(result.predictedRetention).toBeLessThan(1);
+    });
+});
@@ -0,0 +1,41 @@
+const sentenceBuilder = require('../src/services/sentenceBuilder');
+const exerciseBuilder = require('../src/services/exerciseBuilder');
+
+describe('Sentence Builder', () => {
+    const sentence = 'When it rains, I stay at home.';
+
+    test('should scramble the words without punctuation or the original order', () => {
+        const { tokens, ending } = sentenceBuilder.scramble(sentence);
+
+        expect(ending).toBe('.');
+        expect([...tokens].sort()).toEqual(['I', 'at', 'home', 'it', 'rains', 'stay', 'when']);
+        expect(tokens).not.toEqual(['when', 'it', 'rains', 'I', 'stay', 'at', 'home']);
+    });
+
+    test('should accept the sentence and its equivalent orderings', () => {
+        expect(sentenceBuilder.check(['When', 'it', 'rains', 'I', 'stay', 'at', 'home'], sentence))
+            .toMatchObject({ correct: true, match: 'exact', quality: 2 });
+        expect(sentenceBuilder.check(['I', 'stay', 'at', 'home', 'when', 'it', 'rains'], sentence).match)
+            .toBe('equivalent');
+        expect(sentenceBuilder.check(['she', 'left', 'yesterday'], 'Yesterday she left.').match).toBe('equivalent');
+        expect(sentenceBuilder.check(['every', 'day', 'we', 'run'], 'We run every day.').match).toBe('equivalent');
+    });
+
+    test('should grade near misses down and reject other answers', () => {
+        expect(sentenceBuilder.check(['When', 'it', 'rains', 'I', 'stay', 'home', 'at'], sentence))
+            .toMatchObject({ correct: true, match: 'close', distance: 1, quality: 1 });
+        expect(sentenceBuilder.check(['home', 'at', 'stay', 'I', 'rains', 'it', 'when'], sentence))
+            .toMatchObject({ correct: false, match: 'wrong', quality: 0 });
+        // Words that are not the sentence's own are never accepted
+        expect(sentenceBuilder.check(['When', 'it', 'snows', 'I', 'stay', 'at', 'home'], sentence).distance).toBeNull();
+        // Repeated words are interchangeable
+        expect(sentenceBuilder.check(['the', 'cat', 'saw', 'the', 'dog'], 'The cat saw the dog.').match).toBe('exact');
+    });
+
+    test('should fall back to a flashcard when the sentence is too short', () => {
+        expect(exerciseBuilder.build('sentence-building', { id: 'w1', word: 'go', example_sentence: 'Go!' }).type)
+            .toBe('flashcard');
+        expect(exerciseBuilder.build('sentence-building', { id: 'w2', word: 'cat', example_sentence: 'The cat sleeps.' }))
+            .toMatchObject({ type: 'sentence-building', ending: '.' });
+    });
+});
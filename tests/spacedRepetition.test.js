@@ -0,0 +1,201 @@
+const spacedRepetition = require('../src/services/spacedRepetition');
+const fsrsScheduler = require('../src/services/schedulers/fsrsScheduler');
+
+describe('Spaced Repetition', () => {
+    const now = new Date('2025-01-10T08:00:00Z');
+
+    describe('SM-2 scheduler', () => {
+        test('should use fixed first intervals', () => {
+            const first = spacedRepetition.calculateNextReview({}, 2, { now });
+            const second = spacedRepetition.calculateNextReview(
+                { repetitions: first.repetitions, interval: first.interval }, 2, { now }
+            );
+
+            expect(first.interval).toBe(1);
+            expect(second.interval).toBe(6);
+        });
+
+        test('should read snake_case user_vocabulary rows', () => {
+            const result = spacedRepetition.calculateNextReview(
+                { easiness_factor: 2.0, repetitions: 3, interval: 10 }, 2, { now }
+            );
+
+            expect(result.interval).toBe(20);
+            expect(result.repetitions).toBe(4);
+        });
+
+        test('should reset a failed card', () => {
+            const result = spacedRepetition.calculateNextReview(
+                { repetitions: 4, interval: 30 }, 0, { now }
+            );
+
+            expect(result.interval).toBe(1);
+            expect(result.repetitions).toBe(0);
+        });
+    });
+
+    describe('Desired retention', () => {
+        const card = {
+            easiness_factor: 2.5,
+            repetitions: 3,
+            interval: 10,
+            stability: 20,
+            difficulty: 5,
+            last_review_date: new Date('2024-12-21T08:00:00Z')
+        };
+
+        test.each(['sm2', 'fsrs'])('should shorten %s intervals for a higher retention target', (scheduler) => {
+            const casual = spacedRepetition.calculateNextReview(card, 2, { scheduler, desiredRetention: 0.8, now });
+            const standard = spacedRepetition.calculateNextReview(card, 2, { scheduler, desiredRetention: 0.9, now });
+            const examPrep = spacedRepetition.calculateNextReview(card, 2, { scheduler, desiredRetention: 0.95, now });
+
+            expect(casual.interval).toBeGreaterThan(standard.interval);
+            expect(examPrep.interval).toBeLessThan(standard.interval);
+        });
+    });
+
+    describe('Learning steps', () => {
+        const steps = { learningSteps: [1, 10, 60], relearningSteps: [10], now };
+        const minutesUntil = (date) => (date - now) / (60 * 1000);
+
+        test('should move a new card through minute-level learning steps', () => {
+            const first = spacedRepetition.calculateNextReview({}, 2, steps);
+            const second = spacedRepetition.calculateNextReview(
+                { state: first.state, learning_step: first.learningStep }, 2, steps
+            );
+
+            expect(first.state).toBe('learning');
+            expect(minutesUntil(first.nextReviewDate)).toBe(10);
+            expect(second.learningStep).toBe(2);
+            expect(minutesUntil(second.nextReviewDate)).toBe(60);
+        });
+
+        test('should restart learning steps on Again and graduate on Easy', () => {
+            const again = spacedRepetition.calculateNextReview({ state: 'learning', learning_step: 2 }, 0, steps);
+            const easy = spacedRepetition.calculateNextReview({ state: 'learning', learning_step: 0 }, 3, steps);
+
+            expect(again.learningStep).toBe(0);
+            expect(minutesUntil(again.nextReviewDate)).toBe(1);
+            expect(easy.state).toBe('review');
+            expect(easy.interval).toBe(1);
+        });
+
+        test('should send a lapsed review card through relearning steps', () => {
+            const lapse = spacedRepetition.calculateNextReview(
+                { state: 'review', repetitions: 4, interval: 30, last_review_date: '2024-12-11T08:00:00Z' }, 0, steps
+            );
+            const graduated = spacedRepetition.calculateNextReview(
+                { state: lapse.state, learning_step: lapse.learningStep, interval: lapse.interval }, 2, steps
+            );
+
+            expect(lapse.state).toBe('relearning');
+            expect(minutesUntil(lapse.nextReviewDate)).toBe(10);
+            expect(graduated.state).toBe('review');
+            expect(graduated.interval).toBe(1);
+        });
+    });
+
+    describe('Leech detection', () => {
+        test('should count lapses only for cards in review', () => {
+            const review = spacedRepetition.calculateNextReview({ state: 'review', lapses: 2, interval: 5 }, 0, { now });
+            const learning = spacedRepetition.calculateNextReview({ state: 'learning', lapses: 2 }, 0, { now });
+
+            expect(review.lapses).toBe(3);
+            expect(learning.lapses).toBe(2);
+        });
+
+        test('should flag leeches at the threshold and every half threshold after', () => {
+            expect(spacedRepetition.isLeech(7, 8)).toBe(false);
+            expect(spacedRepetition.isLeech(8, 8)).toBe(true);
+            expect(spacedRepetition.isLeech(10, 8)).toBe(false);
+            expect(spacedRepetition.isLeech(12, 8)).toBe(true);
+        });
+    });
+
+    describe('Load balancing', () => {
+        const timezone = 'UTC';
+
+        test('should not fuzz short intervals', () => {
+            expect(spacedRepetition.getFuzzRange(1)).toEqual([1, 1]);
+            expect(spacedRepetition.getFuzzRange(10)).toEqual([8, 12]);
+        });
+
+        test('should move a review onto the least loaded day in its fuzz range', () => {
+            const result = { state: 'review', interval: 10, nextReviewDate: new Date('2025-01-20T08:00:00Z') };
+            const dailyLoad = {
+                '2025-01-18': 40,
+                '2025-01-19': 35,
+                '2025-01-20': 50,
+                '2025-01-21': 12,
+                '2025-01-22': 30
+            };
+
+            const balanced = spacedRepetition.balanceInterval(result, dailyLoad, { now, timezone });
+
+            expect(balanced.interval).toBe(11);
+            expect(balanced.nextReviewDate).toEqual(new Date('2025-01-21T08:00:00Z'));
+        });
+
+        test('should leave learning cards alone', () => {
+            const result = { state: 'learning', interval: 0, nextReviewDate: now };
+
+            expect(spacedRepetition.balanceInterval(result, {}, { now, timezone })).toBe(result);
+        });
+    });
+
+    describe('Card directions', () => {
+        test('should schedule reverse and per-exercise cards only when enabled', () => {
+            expect(spacedRepetition.cardKey({}, 'reverse', 'spelling'))
+                .toEqual({ direction: 'forward', exercise_type: 'any' });
+            expect(spacedRepetition.cardKey({ reverseCards: true }, 'reverse', 'spelling'))
+                .toEqual({ direction: 'reverse', exercise_type: 'any' });
+            expect(spacedRepetition.cardKey({ reverseCards: true, scheduleByExercise: true }, 'reverse', 'spelling'))
+                .toEqual({ direction: 'reverse', exercise_type: 'spelling' });
+        });
+    });
+
+    describe('FSRS scheduler', () => {
+        test('should initialize memory state on first review', () => {
+            const result = spacedRepetition.calculateNextReview({}, 2, { scheduler: 'fsrs', now });
+
+            expect(result.stability).toBeCloseTo(fsrsScheduler.defaultParameters[2]);
+            expect(result.difficulty).toBeGreaterThanOrEqual(1);
+            expect(result.difficulty).toBeLessThanOrEqual(10);
+            expect(result.interval).toBe(Math.round(fsrsScheduler.defaultParameters[2]));
+        });
+
+        test('should grow stability on successful recall and shrink it on a lapse', () => {
+            const card = {
+                stability: 10,
+                difficulty: 5,
+                repetitions: 3,
+                last_review_date: new Date('2024-12-31T08:00:00Z')
+            };
+
+            const good = spacedRepetition.calculateNextReview(card, 2, { scheduler: 'fsrs', now });
+            const again = spacedRepetition.calculateNextReview(card, 0, { scheduler: 'fsrs', now });
+
+            expect(good.stability).toBeGreaterThan(10);
+            expect(good.repetitions).toBe(4);
+            expect(again.stability).toBeLessThan(10);
+            expect(again.repetitions).toBe(0);
+        });
+
+        test('should rebuild memory state from review history', () => {
+            const state = fsrsScheduler.replay([
+                { quality: 2, reviewed_at: '2025-01-04T08:00:00Z' },
+                { quality: 2, reviewed_at: '2025-01-01T08:00:00Z' }
+            ]);
+
+            expect(state.stability).toBeGreaterThan(fsrsScheduler.defaultParameters[2]);
+            expect(state.lastReviewDate).toEqual(new Date('2025-01-04T08:00:00Z'));
+        });
+
+        test('should fall back to SM-2 for unknown schedulers', () => {
+            const result = spacedRepetition.calculateNextReview({}, 2, { scheduler: 'unknown', now });
+
+            expect(result.interval).toBe(1);
+            expect(result.stability).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,33 @@
+const speedRound = require('../src/services/speedRound');
+
+describe('Speed Round', () => {
+    const startedAt = '2025-01-10T03:00:00.000Z';
+    const at = (seconds) => new Date(Date.parse(startedAt) + seconds * 1000);
+
+    test('should reward correct answers more the faster they come', () => {
+        expect(speedRound.points(true, 0)).toBe(200);
+        expect(speedRound.points(true, 2500)).toBe(175);
+        expect(speedRound.points(true, 30000)).toBe(100);
+        expect(speedRound.points(false, 500)).toBe(0);
+        expect(speedRound.score([{ points: 175 }, { points: 0 }, { points: 120 }])).toBe(295);
+    });
+
+    test('should count down from the start of the round', () => {
+        const session = { startedAt, timeLimitMs: 30000, answers: [] };
+
+        expect(speedRound.remainingMs(session, at(10))).toBe(20000);
+        expect(speedRound.isExpired(session, at(29))).toBe(false);
+        expect(speedRound.isExpired(session, at(31))).toBe(true);
+    });
+
+    test('should score on the time measured since the last answer', () => {
+        const session = { startedAt, timeLimitMs: 60000, answers: [{ answeredAt: at(5).toISOString() }] };
+
+        expect(speedRound.responseTime(session, 2500, at(8))).toBe(2500);
+        expect(speedRound.responseTime(session, 9000, at(8))).toBe(3000);
+        expect(speedRound.responseTime(session, undefined, at(8))).toBe(3000);
+        // A reported time far below the measured one does not earn the bonus
+        expect(speedRound.responseTime(session, 0, at(8))).toBe(3000);
+        expect(speedRound.responseTime(session, 1500, at(8))).toBe(3000);
+    });
+});
@@ -0,0 +1,78 @@
+const usageExercises = require('../src/services/usageExercises');
+
+describe('Usage Exercises', () => {
+    const pool = [
+        { id: 'w1', word: 'decision', meaning: 'quyết định', example_sentence: 'We need to make a decision today.', part_of_speech: 'noun' },
+        { id: 'w2', word: 'apple', meaning: 'quả táo', example_sentence: 'She eats an apple every day.', part_of_speech: 'noun' },
+        { id: 'w3', word: 'book', meaning: 'quyển sách', example_sentence: 'I read two books last week.', part_of_speech: 'noun' },
+        { id: 'w4', word: 'river', meaning: 'con sông', example_sentence: 'The river flows to the sea.', part_of_speech: 'noun' },
+        { id: 'w5', word: 'interested', meaning: 'quan tâm', example_sentence: 'He is interested in music.', part_of_speech: 'adjective' }
+    ];
+    const correctText = (exercise) => exercise.options.find(option => option.isCorrect).text;
+
+    test('should blank out the collocate and offer confusable alternatives', () => {
+        const decision = usageExercises.collocation(pool[0]);
+
+        expect(decision.prompt).toBe('We need to _____ a decision today.');
+        expect(correctText(decision)).toBe('make');
+        expect(decision.options).toHaveLength(4);
+        expect(decision.options.every(option => ['make', 'do', 'take', 'have', 'get', 'give'].includes(option.text))).toBe(true);
+
+        expect(usageExercises.collocation(pool[4]).prompt).toBe('He is interested _____ music.');
+        // No known collocate next to the word
+        expect(usageExercises.collocation(pool[3])).toBeNull();
+    });
+
+    test('should put the word into other examples for the wrong sentences', () => {
+        const exercise = usageExercises.contextUsage(pool[0], pool);
+        const wrong = exercise.options.filter(option => !option.isCorrect).map(option => option.text);
+
+        expect(correctText(exercise)).toBe('We need to make a decision today.');
+        expect(wrong).toEqual(expect.arrayContaining([
+            'She eats a decision every day.',
+            'I read two decisions last week.',
+            'The decision flows to the sea.'
+        ]));
+        expect(usageExercises.contextUsage(pool[0], pool.slice(0, 2))).toBeNull();
+    });
+
+    test('should build the same item every time without a model', () => {
+        expect(usageExercises.fromRules(pool[0], pool, 'context-usage'))
+            .toEqual(usageExercises.fromRules(pool[0], [...pool].reverse(), 'context-usage'));
+        expect(usageExercises.collocation(pool[0])).toEqual(usageExercises.collocation(pool[0]));
+    });
+
+    test('should only accept well-formed model output', () => {
+        const generated = { prompt: 'We _____ a decision.', options: ['make', 'do', 'take', 'have'], correctIndex: 0 };
+
+        expect(usageExercises.fromGenerated(pool[0], 'collocation', generated)).toMatchObject({ source: 'ai', prompt: 'We _____ a decision.' });
+        expect(usageExercises.fromGenerated(pool[0], 'collocation', { ...generated, prompt: 'No blank.' })).toBeNull();
+        expect(usageExercises.fromGenerated(pool[0], 'collocation', { ...generated, correctIndex: 4 })).toBeNull();
+        expect(usageExercises.fromGenerated(pool[0], 'context-usage', { options: ['a', 'a', 'b', 'c'], correctIndex: 0 })).toBeNull();
+        expect(usageExercises.fromGenerated(pool[0], 'context-usage', null)).toBeNull();
+    });
+
+    test('should generate a few words at a time and fall back to the rules per word', async () => {
+        let running = 0;
+        let peak = 0;
+        const fromAI = jest.spyOn(usageExercises, 'fromAI').mockImplementation(async (word) => {
+            running++;
+            peak = Math.max(peak, running);
+            await new Promise(resolve => setImmediate(resolve));
+            running--;
+            if (word.id === 'w1') throw new Error('model unavailable');
+            return null;
+        });
+        const words = Array.from({ length: 10 }, (_, i) => ({ ...pool[0], id: `copy-${i}` }));
+
+        const limited = await usageExercises.generateFor([pool[0], ...words], pool, 'collocation', 5);
+        expect(limited.size).toBe(5);
+        expect(fromAI.mock.calls.length).toBeLessThan(words.length + 1);
+        expect(peak).toBeLessThanOrEqual(usageExercises.AI_CONCURRENCY);
+
+        const fallback = await usageExercises.generateFor([pool[0]], pool, 'collocation');
+        expect(fallback.get('w1')).toMatchObject({ source: 'rules', prompt: 'We need to _____ a decision today.' });
+
+        jest.restoreAllMocks();
+    });
+});
@@ -0,0 +1,61 @@
+const vacationService = require('../src/services/vacationService');
+
+describe('Vacation Mode', () => {
+    const now = new Date('2025-01-10T03:00:00Z'); // 10:00 in Ho Chi Minh City
+    const timezone = 'Asia/Ho_Chi_Minh';
+    const absences = [{ start_date: '2025-01-02', end_date: '2025-01-05' }];
+
+    test('should only bridge gaps fully covered by an absence', () => {
+        expect(vacationService.coversGap('2025-01-01', '2025-01-06', absences)).toBe(true);
+        expect(vacationService.coversGap('2025-01-01', '2025-01-07', absences)).toBe(false);
+        expect(vacationService.coversGap('2025-01-06', '2025-01-07', absences)).toBe(true);
+    });
+
+    test('should spread the backlog evenly and serve young cards first', () => {
+        const cards = Array.from({ length: 10 }, (_, i) => ({
+            id: `c${i}`,
+            vocabulary_id: `v${i}`,
+            interval: 10 - i,
+            next_review_date: '2025-01-03T03:00:00Z'
+        }));
+
+        const result = vacationService.buildCatchUpPlan(cards, { days: 3, dailyLoad: { '2025-01-11': 3 }, now, timezone });
+
+        expect(result.backlog).toBe(10);
+        expect(result.plan.map(day => day.date)).toEqual(['2025-01-10', '2025-01-11', '2025-01-12']);
+        expect(result.plan.map(day => day.total)).toEqual([5, 5, 3]);
+        expect(result.assignments[0].id).toBe('c9');
+        expect(result.assignments[0].nextReviewDate).toEqual(now);
+        expect(result.assignments[9].nextReviewDate).toEqual(new Date('2025-01-11T17:00:00Z'));
+    });
+
+    test('should find the latest ended absence that still needs recovery', () => {
+        const pending = vacationService.pendingRecovery([
+            { id: 'a1', end_date: '2024-12-20', recovered_at: null },
+            { id: 'a2', end_date: '2025-01-05', recovered_at: null },
+            { id: 'a3', end_date: '2025-01-15', recovered_at: null }
+        ], '2025-01-10');
+
+        expect(pending.id).toBe('a2');
+    });
+
+    test('should spread the backlog once on the first queue fetch after an absence', async () => {
+        const plan = { backlog: 1, assignments: [{ id: 'c1', nextReviewDate: now }] };
+        jest.spyOn(vacationService, 'getAbsences').mockResolvedValue([{ id: 'a1', end_date: '2025-01-05', recovered_at: null }]);
+        const claim = jest.spyOn(vacationService, 'claimRecovery')
+            .mockResolvedValueOnce([{ id: 'a1' }])
+            .mockResolvedValueOnce([]);
+        jest.spyOn(vacationService, 'previewCatchUp').mockResolvedValue(plan);
+        const reschedule = jest.spyOn(vacationService, 'reschedule').mockResolvedValue();
+
+        await expect(vacationService.recoverAfterAbsence('u1', timezone)).resolves.toBe(plan);
+        // A concurrent fetch that lost the claim leaves the cards alone
+        await expect(vacationService.recoverAfterAbsence('u1', timezone)).resolves.toBeNull();
+
+        expect(claim).toHaveBeenCalledTimes(2);
+        expect(reschedule).toHaveBeenCalledTimes(1);
+        expect(reschedule).toHaveBeenCalledWith('u1', plan.assignments);
+
+        jest.restoreAllMocks();
+    });
+});
@@ -0,0 +1,51 @@
+const vocabularyImport = require('../src/services/vocabularyImport');
+
+describe('Vocabulary Import', () => {
+    test('should parse quoted CSV fields', () => {
+        const rows = vocabularyImport.parse('term,definition\n"hello, world","xin ""chào""\nthế giới"\r\n\nbye,tạm biệt');
+
+        expect(rows).toEqual([
+            { line: 1, values: ['term', 'definition'] },
+            { line: 2, values: ['hello, world', 'xin "chào"\nthế giới'] },
+            { line: 5, values: ['bye', 'tạm biệt'] }
+        ]);
+    });
+
+    test('should detect the delimiter', () => {
+        expect(vocabularyImport.detectDelimiter('word\tmeaning\nx\ty')).toBe('\t');
+        expect(vocabularyImport.detectDelimiter('word;meaning')).toBe(';');
+        expect(vocabularyImport.detectDelimiter('word,meaning')).toBe(',');
+    });
+
+    test('should map columns by header, mapping or position', () => {
+        const byHeader = vocabularyImport.mapRows(vocabularyImport.parse('Meaning\tWord\tTags\nquả táo\tapple\tfood fruit', '\t'));
+        expect(byHeader.items[0]).toEqual({
+            row: 2,
+            item: {
+                word: 'apple',
+                meaning: 'quả táo',
+                pronunciation: null,
+                example_sentence: null,
+                image_url: null,
+                audio_url: null,
+                tags: ['food', 'fruit']
+            }
+        });
+
+        const byMapping = vocabularyImport.mapRows(vocabularyImport.parse('Wort,Bedeutung\nHund,con chó'), { term: 'Wort', definition: 1 });
+        expect(byMapping.items[0].item).toMatchObject({ word: 'Hund', meaning: 'con chó' });
+
+        const byPosition = vocabularyImport.mapRows(vocabularyImport.parse('cat,con mèo,/kæt/'));
+        expect(byPosition.items[0].item).toMatchObject({ word: 'cat', meaning: 'con mèo', pronunciation: '/kæt/' });
+    });
+
+    test('should report row-level validation errors', () => {
+        const { items, errors } = vocabularyImport.mapRows(vocabularyImport.parse('term,definition,image\n,con chó,\ncat,con mèo,not-a-url\ndog,con chó,https://example.com/dog.png'));
+
+        expect(items.map(({ row }) => row)).toEqual([4]);
+        expect(errors).toEqual([
+            { row: 2, field: 'term', message: 'Term is required' },
+            { row: 3, field: 'image', message: 'Must be an http(s) URL' }
+        ]);
+    });
+});